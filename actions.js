@@ -0,0 +1,591 @@
+// Chapter actions module
+// The actions a run performs for one chapter: process the highlights, copy them to Notion,
+// create a Gemini quiz, add a NotebookLM source and generate flashcards. They run in the
+// background service worker (see pipeline_job.js), so they read the book, the run options
+// and the saved configuration from a run context instead of the side panel
+//
+// A run context is { book, chapter, options, settings, statusCallback, reportProgress, signal }:
+// - book: library book (see library.js)
+// - chapter: chapter name
+// - options: run options chosen in the side panel (see createPipelineJob in pipeline_job.js)
+// - settings: saved configuration from loadSavedData (API keys and URLs), with the book profile applied (see profiles.js)
+// - statusCallback: (message, type) => void
+// - reportProgress: (label, current, total) => void, sub-progress shown in the step list (see pipeline.js)
+// - signal: AbortSignal aborted when the run is cancelled; every action passes it on to its
+//   requests and tab automation, which stop at a safe point
+
+import { filterHighlightsByColor, applyColorLabels, renderHighlightsMarkdown, getHighlightLink } from './kindle.js';
+import { extractNotionDatabaseId, getDatabaseDataSourceAndTitleProperty, convertMarkdownToNotionBlocks, createPageInDatabase, addBlocksToPage } from './notion.js';
+import { exportToNotebooklm, createFlashcards } from './notebooklm.js';
+import { processHighlightsWithGemini, summarizeSectionOutcomes } from './gemini.js';
+import { sendToGeminiChat, getGeminiConversationName } from './gemini_chat.js';
+import { createBookMetadata, formatShortAuthors, formatBookCitation, formatHighlightCitation } from './citation.js';
+import { saveProcessedContent, loadProcessedContent, saveProcessedHighlights, loadProcessedHighlights } from './storage.js';
+import { cleanupHighlights, summarizeCleanupChanges } from './cleanup.js';
+import { getHighlightFingerprint, loadDelivery, recordDelivery, getUndeliveredFingerprints, filterNewRecords, haveSameNewRecords } from './sync.js';
+import { loadHighlightReviews, applyHighlightReviews } from './review.js';
+import { registerPipelineStep, haltPipeline, pausePipeline } from './pipeline.js';
+import { findPromptTemplate } from './prompts.js';
+import { createLlmConfig, getLlmConfigError } from './llm.js';
+import { checkFidelity, summarizeFidelity } from './fidelity.js';
+
+/**
+ * Turn the highlights of a chapter into the processed content used by every later action
+ * Saves the content and the fingerprints of the highlights it was made from, with the outcome of every AI section
+ * and the highlights the AI was given, so the rewrite can be checked against them (see fidelity.js)
+ * @param {Object} run - Run context
+ * @returns {Promise<{content: string, aiSections: Array|null, fidelity: Object|null}|null>} Processed content, the AI section
+ *   outcomes (see processHighlightsWithGemini in gemini.js) and the fidelity report of the rewrite (see checkFidelity in
+ *   fidelity.js), both null without AI, or null when there is nothing new to send
+ */
+export async function processHighlights(run) {
+  const { book, chapter, options, settings, statusCallback, reportProgress, signal } = run;
+  
+  statusCallback('Processing highlights...', 'info');
+  
+  // Take the highlight records of the chapter and apply the color filters
+  const chapterRecords = book.records.filter(record => record.chapter === chapter);
+  let records = filterHighlightsByColor(chapterRecords, options.colorFilters);
+  
+  // In "new since last sync" mode, keep only the highlights a selected destination hasn't received.
+  // Every selected destination gets the same content, so they must be missing the same highlights
+  if (options.syncNewOnly) {
+    const deliveries = await loadChapterDeliveries(run);
+    if (getSyncDestinations(options).length > 1 && !haveSameNewRecords(records, book.id, deliveries)) {
+      statusCallback('The selected destinations have received different highlights of this chapter (e.g. after a failed step). Sync each of them in a run of its own', 'error');
+      throw new Error('Destinations are out of sync');
+    }
+    records = filterNewRecords(records, book.id, deliveries);
+    if (records.length === 0) {
+      statusCallback('No new highlights since the last sync', 'success');
+      return null;
+    }
+    statusCallback(`Processing ${records.length} new highlight(s)...`, 'info');
+  }
+  
+  // Leave out the highlights excluded in the Review tab and apply their edits and tags
+  records = applyHighlightReviews(records, book.id, await loadHighlightReviews(book.id));
+  if (records.length === 0 && options.syncNewOnly) {
+    statusCallback('The new highlights are all excluded in the Review tab', 'success');
+    return null;
+  }
+  
+  // Merge fragments, drop duplicates and flag truncated highlights
+  if (options.cleanupHighlights) {
+    const cleanup = cleanupHighlights(records);
+    records = cleanup.records;
+    if (cleanup.changes.length > 0) {
+      statusCallback(`Cleaned up highlights: ${summarizeCleanupChanges(cleanup.changes)}`, 'info');
+    }
+  }
+  
+  // Follow each highlight with an in-text citation in the chosen style
+  const bookMetadata = createBookMetadata(book);
+  const citationStyle = options.citationStyle;
+  if (citationStyle) {
+    records = records.map(record => record.kind === 'highlight'
+      ? { ...record, citation: formatHighlightCitation(bookMetadata, record, citationStyle) }
+      : record);
+  }
+  
+  // Link each highlight back to its location in the book
+  records = records.map(record => record.kind === 'highlight'
+    ? { ...record, link: getHighlightLink(book.asin, record) }
+    : record);
+  
+  // Apply the color labels and render the highlights as Markdown
+  let processedContent = renderHighlightsMarkdown(applyColorLabels(records, options.colorLabels));
+  
+  if (!processedContent || processedContent.trim() === '') {
+    statusCallback('No highlights found for the selected chapter and colors, or all of them are excluded in the Review tab', 'error');
+    throw new Error('No highlights found');
+  }
+  
+  // Process with the AI provider if it is configured (e.g. Gemini needs an API key)
+  const llmConfig = createLlmConfig(settings);
+  const useAi = !getLlmConfigError(llmConfig);
+  let aiSections = null;
+  let fidelity = null;
+  // The highlights the AI is given, and the other text of the prompt whose names the rewrite may use
+  const highlightsContent = processedContent;
+  const knownText = [bookMetadata.title, bookMetadata.authorsText, chapter].filter(Boolean).join('\n');
+  if (useAi) {
+    const promptTemplate = findPromptTemplate(settings.promptTemplates, options.promptTemplateId);
+    statusCallback(`Processing highlights with ${llmConfig.name} (${promptTemplate.name})...`, 'info');
+    
+    try {
+      // Progress callback to show how many requests are done (a request is a section, a part of a long one or several short ones)
+      const progressCallback = (requestName, completed, total) => {
+        statusCallback(`Processed "${requestName}" (${completed}/${total})...`, 'info');
+        reportProgress('AI request', completed, total);
+      };
+      const onRetry = (requestName, error, attempt, delayMs) => {
+        statusCallback(`"${requestName}": ${error.message}. Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1})...`, 'info');
+      };
+      
+      const processed = await processHighlightsWithGemini(processedContent, llmConfig, progressCallback, bookMetadata, signal, {
+        template: promptTemplate.text,
+        chapter,
+        instructions: settings.promptInstructions,
+        onRetry,
+        templateName: promptTemplate.name,
+        forceReprocess: Boolean(options.forceReprocess)
+      });
+      processedContent = processed.text;
+      aiSections = processed.sections;
+    } catch (error) {
+      // A cancelled run stops here instead of going on with the original highlights
+      if (signal.aborted) {
+        throw error;
+      }
+      console.error(`Error processing with ${llmConfig.name}:`, error);
+      statusCallback(`${error.message}. Using original highlights.`, 'error');
+      // Continue with original content if the AI provider fails
+    }
+  }
+  
+  // Check that the rewrite didn't drop or invent information. The check only reports: when it
+  // fails, the rewrite is kept and the run goes on without fidelity totals
+  if (aiSections) {
+    try {
+      fidelity = checkFidelity(highlightsContent, processedContent, knownText);
+    } catch (error) {
+      console.error('Error checking the fidelity of the AI rewrite:', error);
+    }
+  }
+  
+  // End the notes with a reference for the book; BibTeX entries are kept on one line
+  // because every line becomes its own paragraph in Notion
+  if (citationStyle) {
+    const bookCitation = formatBookCitation(bookMetadata, citationStyle).replace(/\s*\n\s*/g, ' ');
+    processedContent = `${processedContent}\n\n**Reference:** ${bookCitation}`;
+  }
+  
+  // Save to storage, with the highlights the content was made from
+  // (merged highlights list the highlights they were made from in `sources`)
+  saveProcessedContent(processedContent);
+  saveProcessedHighlights({
+    bookId: book.id,
+    chapter,
+    fingerprints: records.flatMap(record => (record.sources || [record]).map(source => getHighlightFingerprint(book.id, source))),
+    aiSections,
+    originalContent: aiSections ? highlightsContent : null,
+    knownText: aiSections ? knownText : null
+  });
+  
+  if (aiSections) {
+    const rawSectionCount = aiSections.filter(outcome => outcome.status === 'raw').length;
+    const needsReview = rawSectionCount > 0 || !fidelity || fidelity.missingCount > 0 || fidelity.unsupportedCount > 0;
+    const summary = `${summarizeSectionOutcomes(aiSections)}; fidelity: ${fidelity ? summarizeFidelity(fidelity) : 'not checked'}`;
+    statusCallback(`Highlights processed with AI (${summary})${needsReview ? ': check the sections marked in Step 5' : ''}`, needsReview ? 'error' : 'success');
+  } else {
+    statusCallback('Highlights processed!', 'success');
+  }
+  
+  return { content: processedContent, aiSections, fidelity };
+}
+
+/**
+ * Load the delivery records of the destinations that receive the processed content in this run,
+ * or of all of them when none is selected
+ * @param {Object} run - Run context
+ * @returns {Promise<Object[]>} Delivery records
+ */
+function loadChapterDeliveries(run) {
+  const destinations = getSyncDestinations(run.options);
+  if (destinations.length === 0) destinations.push('notion', 'geminiQuiz', 'notebooklm');
+  
+  return Promise.all(destinations.map(destination => loadDelivery(destination, run.book.id, run.chapter)));
+}
+
+/**
+ * List the destinations that receive the processed content in a run
+ * @param {Object} options - Run options
+ * @returns {string[]} 'notion', 'geminiQuiz' and 'notebooklm', for the selected steps
+ */
+function getSyncDestinations({ actions }) {
+  const destinations = [];
+  if (actions.copyToNotion) destinations.push('notion');
+  if (actions.createGeminiQuiz) destinations.push('geminiQuiz');
+  if (actions.addToNotebooklm) destinations.push('notebooklm');
+  return destinations;
+}
+
+/**
+ * Find what a destination has received and which highlights the processed content holds
+ * @param {string} destination - 'notion', 'geminiQuiz' or 'notebooklm'
+ * @param {Object} run - Run context
+ * @returns {Promise<{delivery: Object, fingerprints: string[]}|null>} Null in "new since last sync" mode when the destination already has all of them
+ */
+async function prepareDelivery(destination, run) {
+  const { book, chapter, options, statusCallback } = run;
+  const processedHighlights = await loadProcessedHighlights();
+  const fingerprints = processedHighlights && processedHighlights.bookId === book.id && processedHighlights.chapter === chapter
+    ? processedHighlights.fingerprints
+    : [];
+  const delivery = await loadDelivery(destination, book.id, chapter);
+  
+  if (options.syncNewOnly) {
+    if (fingerprints.length === 0) {
+      statusCallback('Process the highlights of this chapter first to find the new ones', 'error');
+      throw new Error('No processed highlights for this chapter');
+    }
+    if (getUndeliveredFingerprints(delivery, fingerprints).length === 0) {
+      return null;
+    }
+  }
+  
+  return { delivery, fingerprints };
+}
+
+/**
+ * Copy the processed content to a new page in the Notion database
+ * In "new since last sync" mode, new highlights are appended to the page of an earlier run
+ * @param {Object} run - Run context
+ * @returns {Promise<Object|null>} Artifacts: notionPageId, notionPageTitle, notionPageUrl, the delivered fingerprints
+ *   and, when new highlights were appended to an earlier page, notionBlockIds; null when nothing was sent
+ */
+export async function copyToNotion(run) {
+  const { book, chapter, options, settings, statusCallback, reportProgress, signal } = run;
+  const databaseUrl = settings.notionPageUrl;
+  const authToken = settings.notionAuthToken;
+  
+  if (!databaseUrl) {
+    statusCallback('Please enter a Notion database URL in the Config tab', 'error');
+    throw new Error('Notion database URL required');
+  }
+  
+  if (!authToken) {
+    statusCallback('Please enter a Notion integration token in the Config tab', 'error');
+    throw new Error('Notion auth token required');
+  }
+  
+  statusCallback('Creating page in Notion...', 'info');
+  
+  // Get content from storage
+  const content = await loadProcessedContent();
+  
+  if (!content) {
+    statusCallback('No content found. Process highlights first.', 'error');
+    throw new Error('No content found');
+  }
+  
+  // Extract database ID from Notion URL
+  const databaseId = extractNotionDatabaseId(databaseUrl);
+  if (!databaseId) {
+    statusCallback('Invalid Notion database URL format', 'error');
+    throw new Error('Invalid Notion database URL');
+  }
+  
+  // Get book title from the book
+  const bookTitle = book.title;
+  if (!bookTitle) {
+    statusCallback('Could not extract book title. Please reload file in Step 1.', 'error');
+    throw new Error('Could not extract book title');
+  }
+  
+  // Create page title: "Chapter Name"
+  const pageTitle = chapter;
+  
+  const sync = await prepareDelivery('notion', run);
+  if (!sync) {
+    statusCallback(`Notion already has every highlight of "${pageTitle}"`, 'success');
+    return null;
+  }
+  
+  // Show the Notion batches in the step list
+  const progressCallback = (message, batch, batchCount) => {
+    statusCallback(message, 'info');
+    if (batch) {
+      reportProgress('Notion batch', batch, batchCount);
+    }
+  };
+  
+  // In "new since last sync" mode, append to the page an earlier run made for this chapter
+  if (options.syncNewOnly && sync.delivery.notionPageId) {
+    const newBlocks = convertMarkdownToNotionBlocks(content);
+    const blockIds = await addBlocksToPage(
+      sync.delivery.notionPageId,
+      [{ object: 'block', type: 'divider', divider: {} }, ...newBlocks],
+      authToken,
+      progressCallback,
+      signal
+    );
+    await recordDelivery('notion', book.id, chapter, sync.fingerprints);
+    
+    const existingPageUrl = `https://www.notion.so/${sync.delivery.notionPageId.replace(/-/g, '')}`;
+    chrome.tabs.create({ url: existingPageUrl });
+    statusCallback(`Added ${newBlocks.length} blocks of new highlights to "${pageTitle}" in Notion!`, 'success');
+    return {
+      notionPageId: sync.delivery.notionPageId,
+      notionPageTitle: pageTitle,
+      notionPageUrl: existingPageUrl,
+      notionBlockIds: blockIds,
+      fingerprints: sync.fingerprints
+    };
+  }
+  
+  // Fetch database to get data source and find the title property name
+  statusCallback('Fetching database schema...', 'info');
+  const { dataSourceId, titlePropertyName, bookNamePropertyName, bookNamePropertyType, authorPropertyName, authorPropertyType } = await getDatabaseDataSourceAndTitleProperty(databaseId, authToken, signal);
+  
+  // Convert Markdown to Notion blocks
+  const blocks = convertMarkdownToNotionBlocks(content);
+  
+  // Create the page with title and content
+  const pageId = await createPageInDatabase(
+    databaseId,
+    dataSourceId,
+    titlePropertyName,
+    pageTitle,
+    blocks,
+    authToken,
+    progressCallback,
+    bookNamePropertyName,
+    bookNamePropertyType,
+    bookTitle,
+    authorPropertyName,
+    authorPropertyType,
+    createBookMetadata(book).authors,
+    signal
+  );
+  
+  // Convert page ID (UUID format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx) to Notion URL format
+  // Notion page URLs use the ID without dashes: https://www.notion.so/[32-char-id]
+  const pageIdWithoutDashes = pageId.replace(/-/g, '');
+  const pageUrl = `https://www.notion.so/${pageIdWithoutDashes}`;
+  
+  await recordDelivery('notion', book.id, chapter, sync.fingerprints, { notionPageId: pageId });
+  
+  // Open the newly created page in a new tab
+  chrome.tabs.create({ url: pageUrl });
+  
+  statusCallback(`Successfully created page "${pageTitle}" with ${blocks.length} blocks in Notion!`, 'success');
+  return { notionPageId: pageId, notionPageTitle: pageTitle, notionPageUrl: pageUrl, fingerprints: sync.fingerprints };
+}
+
+/**
+ * Build the name of the NotebookLM source for a chapter: "Chapter Name (Book Name, Author)"
+ * @param {Object} book - Library book
+ * @param {string} chapter - Chapter name
+ * @returns {string} Source name
+ */
+function getSourceName(book, chapter) {
+  if (book.title) {
+    const authors = formatShortAuthors(createBookMetadata(book));
+    return authors ? `${chapter} (${book.title}, ${authors})` : `${chapter} (${book.title})`;
+  }
+  
+  // Fallback to just chapter name if book title not found
+  return chapter;
+}
+
+/**
+ * Add the processed content to the selected NotebookLM notebook as a source
+ * In "new since last sync" mode, new highlights go into a supplementary source
+ * @param {Object} run - Run context
+ * @returns {Promise<Object|null>} Artifacts: notebooklmNotebook, notebooklmSource and the delivered fingerprints, or null when nothing was sent
+ */
+export async function addSourceToNotebooklm(run) {
+  const { book, chapter, options, statusCallback, signal } = run;
+  
+  if (!options.notebookName) {
+    statusCallback('Please select a notebook in Step 3', 'error');
+    throw new Error('No notebook selected');
+  }
+  
+  const sync = await prepareDelivery('notebooklm', run);
+  if (!sync) {
+    statusCallback('NotebookLM already has every highlight of this chapter', 'success');
+    return null;
+  }
+  
+  // Use the chapter name and book title for renaming the source. In "new since last sync" mode
+  // the new highlights go into a supplementary source next to the earlier ones
+  const sources = sync.delivery.sources || [];
+  const baseSourceName = getSourceName(book, chapter);
+  const sourceName = options.syncNewOnly && sources.length > 0
+    ? `${baseSourceName} - update ${sources.length}`
+    : baseSourceName;
+  
+  const exported = await exportToNotebooklm(options.notebookName, null, statusCallback, sourceName, signal);
+  if (!exported) {
+    throw new Error('Could not add the source to NotebookLM');
+  }
+  
+  await recordDelivery('notebooklm', book.id, chapter, sync.fingerprints, {
+    sources: [...sources, { name: sourceName, fingerprints: sync.fingerprints }]
+  });
+  return { notebooklmNotebook: options.notebookName, notebooklmSource: sourceName, fingerprints: sync.fingerprints };
+}
+
+/**
+ * Generate NotebookLM flashcards from the chapter's source
+ * In "new since last sync" mode, an extra deck is made from the newest supplementary source
+ * @param {Object} run - Run context
+ * @returns {Promise<Object|null>} Artifacts: notebooklmNotebook, flashcardDeck, flashcardSource and the fingerprints it covers, or null when no deck was made
+ */
+export async function generateFlashcards(run) {
+  const { book, chapter, options, statusCallback, signal } = run;
+  
+  if (!options.notebookName) {
+    statusCallback('Please select a notebook in Step 3', 'error');
+    throw new Error('No notebook selected');
+  }
+  
+  // Source is named as "Chapter Name (Book Name, Author)", so we need to match that format
+  let sourceName = getSourceName(book, chapter);
+  let chapterName = chapter; // Use chapter name for renaming the flashcard
+  let fingerprints = [];
+  
+  // Flashcards are made from NotebookLM sources, so compare against the sources added so far
+  const sources = (await loadDelivery('notebooklm', book.id, chapter)).sources || [];
+  const delivery = await loadDelivery('flashcards', book.id, chapter);
+  
+  if (options.syncNewOnly) {
+    // Make extra flashcards from the newest source with highlights that have no flashcards yet
+    const newSourceIndex = sources.findLastIndex(source => getUndeliveredFingerprints(delivery, source.fingerprints).length > 0);
+    if (newSourceIndex === -1) {
+      statusCallback('No NotebookLM source of this chapter has highlights without flashcards', 'success');
+      return null;
+    }
+    sourceName = sources[newSourceIndex].name;
+    fingerprints = sources[newSourceIndex].fingerprints;
+    if (newSourceIndex > 0) {
+      // Supplementary sources are named "... - update N"; name the deck the same way
+      chapterName = `${chapter} - update ${newSourceIndex}`;
+    }
+  } else {
+    const source = sources.findLast(source => source.name === sourceName);
+    fingerprints = source ? source.fingerprints : [];
+  }
+  
+  const created = await createFlashcards(options.notebookName, statusCallback, sourceName, chapterName, signal);
+  if (!created) {
+    throw new Error('Could not create flashcards');
+  }
+  
+  if (fingerprints.length > 0) {
+    await recordDelivery('flashcards', book.id, chapter, fingerprints);
+  }
+  return { notebooklmNotebook: options.notebookName, flashcardDeck: chapterName, flashcardSource: sourceName, fingerprints };
+}
+
+/**
+ * Send the processed content to the Gemini Chat/Gem to create a quiz
+ * @param {Object} run - Run context
+ * @returns {Promise<Object|null>} Artifacts: geminiConversationName and geminiConversationUrl, or null when nothing was sent
+ */
+export async function createGeminiQuiz(run) {
+  const { book, chapter, settings, statusCallback, signal } = run;
+  
+  // Get book title from the book
+  const bookTitle = book.title;
+  if (!bookTitle) {
+    statusCallback('Could not extract book title. Please reload file in Step 1.', 'error');
+    throw new Error('Could not extract book title');
+  }
+  
+  // Get the Gemini chat URL from config
+  const geminiChatUrl = settings.geminiChatUrl;
+  
+  if (!geminiChatUrl) {
+    statusCallback('Please enter a Gemini Chat/Gem URL in the Config tab', 'error');
+    throw new Error('Gemini Chat URL required');
+  }
+  
+  // Get content from storage
+  const content = await loadProcessedContent();
+  
+  if (!content) {
+    statusCallback('No content found. Please run Step 2 first.', 'error');
+    throw new Error('No content found');
+  }
+  
+  const sync = await prepareDelivery('geminiQuiz', run);
+  if (!sync) {
+    statusCallback('A Gemini quiz already covers every highlight of this chapter', 'success');
+    return null;
+  }
+  
+  const conversationUrl = await sendToGeminiChat(geminiChatUrl, content, statusCallback, bookTitle, chapter, signal);
+  if (!conversationUrl) {
+    throw new Error('Could not send the highlights to Gemini');
+  }
+  
+  await recordDelivery('geminiQuiz', book.id, chapter, sync.fingerprints);
+  return { geminiConversationName: getGeminiConversationName(bookTitle, chapter), geminiConversationUrl: conversationUrl };
+}
+
+// Pipeline steps (see pipeline.js). Every publishing step needs the processed content, which
+// the processing step and the review checkpoint make; flashcards are made from the NotebookLM
+// source, in a notebook tab of their own
+
+registerPipelineStep({
+  id: 'processHighlights',
+  name: 'Process highlights',
+  outputs: ['processedContent'],
+  // Reading the library can fail once; a second try is cheap. AI requests have their own retries (see llm.js)
+  retry: { attempts: 2, delayMs: 3000 },
+  onFailure: 'skipDependents',
+  run: async run => {
+    const processed = await processHighlights(run);
+    if (processed === null) {
+      return haltPipeline('No new highlights');
+    }
+    if (!processed.aiSections) {
+      return { report: null };
+    }
+    // The run log keeps the totals of the fidelity check; Step 5 shows the details
+    if (!processed.fidelity) {
+      return { report: { aiSections: processed.aiSections, fidelity: null } };
+    }
+    const { coverage, highlightCount, missingCount, unsupportedCount } = processed.fidelity;
+    return { report: { aiSections: processed.aiSections, fidelity: { coverage, highlightCount, missingCount, unsupportedCount } } };
+  }
+});
+
+registerPipelineStep({
+  id: 'reviewContent',
+  name: 'Review processed content',
+  inputs: ['processedContent'],
+  outputs: ['processedContent'],
+  checkpoint: true,
+  isSelected: options => options.pauseForReview && options.actions.processHighlights,
+  run: async run => {
+    run.statusCallback('Paused for review in Step 5', 'info');
+    return pausePipeline('Paused for review');
+  }
+});
+
+// Publishing steps are tried once: a repeated attempt could create a second page, chat or source
+
+registerPipelineStep({
+  id: 'copyToNotion',
+  name: 'Copy to Notion',
+  inputs: ['processedContent'],
+  run: async run => ({ artifacts: await copyToNotion(run) })
+});
+
+registerPipelineStep({
+  id: 'createGeminiQuiz',
+  name: 'Create Gemini quiz',
+  inputs: ['processedContent'],
+  run: async run => ({ artifacts: await createGeminiQuiz(run) })
+});
+
+registerPipelineStep({
+  id: 'addToNotebooklm',
+  name: 'Add source to NotebookLM',
+  inputs: ['processedContent'],
+  outputs: ['notebooklmSource'],
+  onFailure: 'skipDependents',
+  run: async run => ({ artifacts: await addSourceToNotebooklm(run) })
+});
+
+registerPipelineStep({
+  id: 'generateFlashcards',
+  name: 'Generate flashcards',
+  inputs: ['notebooklmSource'],
+  run: async run => ({ artifacts: await generateFlashcards(run) })
+});
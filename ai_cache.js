@@ -0,0 +1,138 @@
+// AI cache module
+// Keeps the text the AI provider returned for each request in the library database (see
+// library.js), so running a chapter again, e.g. to retry a failed Notion upload, reuses it
+// instead of calling the provider. Entries are keyed by a hash of the provider, the model and
+// the prompt rendered from the template and the section text: changing any of them is a miss.
+// The Library tab lists the entries so they can be cleared.
+// The token count the requests of a chapter are planned with is cached the same way, keyed by the
+// chapter text: the plan decides the prompts, so a re-run can only find its results with it
+
+import { getAiCacheEntry, saveAiCacheEntry, listAiCacheEntries, deleteAiCacheEntry } from './library.js';
+
+/**
+ * Build the cache key of a request
+ * @param {Object} llmConfig - AI provider configuration from createLlmConfig (llm.js)
+ * @param {string} prompt - Rendered prompt
+ * @returns {Promise<string>} SHA-256 hash as hex
+ */
+export async function createAiCacheKey(llmConfig, prompt) {
+  return hashValues([llmConfig.provider, llmConfig.model, prompt]);
+}
+
+/**
+ * Hash a list of values
+ * @param {Array} values - Values to hash
+ * @returns {Promise<string>} SHA-256 hash of their JSON as hex
+ */
+async function hashValues(values) {
+  const data = new TextEncoder().encode(JSON.stringify(values));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get the cached result of a request
+ * A cache that can't be read counts as a miss, so processing goes on with the provider
+ * @param {string} key - Cache key from createAiCacheKey
+ * @returns {Promise<string|null>} Cached text, or null when there is none
+ */
+export async function getCachedAiResult(key) {
+  try {
+    const entry = await getAiCacheEntry(key);
+    return entry ? entry.text : null;
+  } catch (error) {
+    console.error('Error reading the AI cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache the result of a request
+ * A result that can't be saved is only logged: the run has it already
+ * @param {string} key - Cache key from createAiCacheKey
+ * @param {Object} details - What the result is, shown in the Library tab
+ * @param {Object} details.llmConfig - AI provider configuration
+ * @param {string|null} details.bookTitle - Book title
+ * @param {string|null} details.chapter - Chapter name
+ * @param {string} details.section - Section name, with the part for a split section or the packed section names
+ * @param {string|null} details.templateName - Prompt template name
+ * @param {string} text - Generated text
+ * @returns {Promise<void>}
+ */
+export async function cacheAiResult(key, { llmConfig, bookTitle, chapter, section, templateName }, text) {
+  try {
+    await saveAiCacheEntry({
+      key,
+      provider: llmConfig.provider,
+      providerName: llmConfig.name,
+      model: llmConfig.model,
+      bookTitle: bookTitle || null,
+      chapter: chapter || null,
+      section,
+      templateName: templateName || null,
+      text,
+      createdAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error saving to the AI cache:', error);
+  }
+}
+
+/**
+ * Get the cached tokens per character of a text
+ * A cache that can't be read counts as a miss, so the tokens are counted again
+ * @param {Object} llmConfig - AI provider configuration
+ * @param {string} text - Counted text
+ * @returns {Promise<number|null>} Tokens per character, or null when they aren't cached
+ */
+export async function getCachedTokensPerChar(llmConfig, text) {
+  try {
+    const entry = await getAiCacheEntry(await hashValues(['tokens', llmConfig.provider, llmConfig.model, text]));
+    return entry ? entry.tokensPerChar : null;
+  } catch (error) {
+    console.error('Error reading the AI cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache the tokens per character of a text
+ * A count that can't be saved is only logged: the run has it already
+ * @param {Object} llmConfig - AI provider configuration
+ * @param {string} text - Counted text
+ * @param {number} tokensPerChar - Tokens per character
+ * @returns {Promise<void>}
+ */
+export async function cacheTokensPerChar(llmConfig, text, tokensPerChar) {
+  try {
+    await saveAiCacheEntry({
+      key: await hashValues(['tokens', llmConfig.provider, llmConfig.model, text]),
+      kind: 'tokens',
+      provider: llmConfig.provider,
+      model: llmConfig.model,
+      tokensPerChar,
+      createdAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error saving to the AI cache:', error);
+  }
+}
+
+/**
+ * List the cached results, most recent first
+ * Token counts are left out: they aren't results, and are only used to find them again
+ * @returns {Promise<Object[]>} Cache entries
+ */
+export async function listAiCache() {
+  const entries = await listAiCacheEntries();
+  return entries.filter(entry => entry.kind !== 'tokens');
+}
+
+/**
+ * Remove cached results
+ * @param {string[]} keys - Cache keys
+ * @returns {Promise<void>}
+ */
+export async function removeAiCacheEntries(keys) {
+  await Promise.all(keys.map(key => deleteAiCacheEntry(key)));
+}
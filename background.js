@@ -1,4 +1,7 @@
 // Learning Workflow Extension - Background Script
+import { PIPELINE_WATCHDOG_ALARM, createPipelineJob, startPipelineJob, resumePipelineJob, continuePipelineJob, cancelPipelineJob } from './pipeline_job.js';
+import { undoRun } from './undo.js';
+
 chrome.runtime.onInstalled.addListener(function(details) {
   console.log('Learning Workflow Extension installed:', details);
   
@@ -18,6 +21,50 @@ chrome.runtime.onInstalled.addListener(function(details) {
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
   console.log('Background received message:', request);
   
-  // TODO: Add learning workflow message handling
+  // Start a run of the selected actions; the side panel follows its progress in storage
+  if (request.action === 'startPipelineJob') {
+    startPipelineJob(createPipelineJob(request.bookId, request.chapters, request.options))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+  
+  // Continue a run that is paused for review, or skip the paused chapter
+  if (request.action === 'continuePipelineJob') {
+    continuePipelineJob(request.resume)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+  
+  // Cancel the running run; it stops at a safe point and is finished with what it did so far
+  if (request.action === 'cancelPipelineJob') {
+    cancelPipelineJob()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+  
+  // Undo a run from the run history; progress is sent to the side panel as undoRunStatus messages
+  if (request.action === 'undoRun') {
+    const statusCallback = (message, type) => {
+      chrome.runtime.sendMessage({ action: 'undoRunStatus', runId: request.runId, message, type }).catch(() => {});
+    };
+    undoRun(request.runId, statusCallback)
+      .then(undo => sendResponse({ success: true, undo }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep channel open for async response
+  }
+  
   sendResponse({status: 'ready'});
 });
+
+// The watchdog alarm fires while a job runs, and restarts it if the service worker was stopped
+chrome.alarms.onAlarm.addListener(function(alarm) {
+  if (alarm.name === PIPELINE_WATCHDOG_ALARM) {
+    resumePipelineJob();
+  }
+});
+
+// Resume a job that was running when the service worker stopped
+resumePipelineJob();
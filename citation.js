@@ -0,0 +1,275 @@
+// Book metadata and citation module
+// Builds a metadata object (title, authors, publisher, year) from a parsed book and
+// formats APA, MLA and BibTeX citations for the book and for single highlights
+
+export const CITATION_STYLES = {
+  apa: 'APA',
+  mla: 'MLA',
+  bibtex: 'BibTeX'
+};
+
+// LaTeX special characters and how BibTeX field values spell them
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/**
+ * Split an author string into names
+ * Handles "A and B", "A; B", "A & B", "A, B, C" and single "Last, First" names
+ * @param {string|null} authorsText - Authors as shown in the export
+ * @returns {string[]} Author names
+ */
+export function parseAuthors(authorsText) {
+  if (!authorsText) {
+    return [];
+  }
+  
+  return authorsText
+    .split(/\s*;\s*|\s+and\s+|\s*&\s*/i)
+    .flatMap(part => {
+      // "Last, First" has a single comma; more commas separate several authors
+      const commaCount = (part.match(/,/g) || []).length;
+      return commaCount > 1 ? part.split(/\s*,\s*/) : [part];
+    })
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split a name into first and last names
+ * @param {string} name - "First Last" or "Last, First"
+ * @returns {{first: string, last: string}}
+ */
+function splitName(name) {
+  if (name.includes(',')) {
+    const [last, first] = name.split(',').map(part => part.trim());
+    return { first: first || '', last };
+  }
+  const parts = name.split(/\s+/);
+  return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+}
+
+/**
+ * Parse the year and publisher out of the citation block of a Kindle export
+ * The block is formatted in the citation style picked in the Kindle app, so this is best effort
+ * @param {string|null} citation - Citation text
+ * @param {string|null} title - Book title, which the publisher follows in every style
+ * @returns {{year: string|null, publisher: string|null}}
+ */
+function parseCitationDetails(citation, title) {
+  if (!citation) {
+    return { year: null, publisher: null };
+  }
+  
+  const yearMatch = citation.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  
+  // MLA and Chicago end with "Title. Publisher, 2015." and APA with "(2015). Title. Publisher.".
+  // The export's title is often the short one, so the citation may go on with ": Subtitle."
+  let publisher = null;
+  const titleIndex = title ? citation.indexOf(title) : -1;
+  if (titleIndex !== -1) {
+    const rest = citation
+      .slice(titleIndex + title.length)
+      .replace(/^\s*:[^.]*\./, '')
+      .replace(/kindle edition\.?/i, '')
+      .replace(/^[\s.,]+/, '')
+      .trim();
+    const publisherMatch = rest.match(/^(.+?),\s*(?:1[5-9]\d{2}|20\d{2})\b/) || rest.match(/^([^()]+?)\.?$/);
+    publisher = publisherMatch ? publisherMatch[1].trim() : null;
+  }
+  
+  return {
+    year: yearMatch ? yearMatch[1] : null,
+    publisher: publisher || null
+  };
+}
+
+/**
+ * Build the metadata object of a book
+ * @param {{title: string|null, authors: string|null, citation?: string|null, asin?: string|null}} book - Parsed or library book
+ * @returns {{title: string, authors: string[], authorsText: string, citation: string|null, year: string|null, publisher: string|null, asin: string|null}}
+ */
+export function createBookMetadata(book) {
+  const authors = parseAuthors(book.authors);
+  return {
+    title: book.title || 'Untitled book',
+    authors,
+    authorsText: authors.join(', '),
+    citation: book.citation || null,
+    ...parseCitationDetails(book.citation || null, book.title),
+    asin: book.asin || null
+  };
+}
+
+/**
+ * Format the authors for a short reference such as a source name: "Smith", "Smith & Doe", "Smith et al."
+ * @param {Object} metadata - Book metadata from createBookMetadata
+ * @returns {string} Short author names, or an empty string when unknown
+ */
+export function formatShortAuthors(metadata) {
+  const lastNames = metadata.authors.map(name => splitName(name).last);
+  if (lastNames.length > 2) {
+    return `${lastNames[0]} et al.`;
+  }
+  return lastNames.join(' & ');
+}
+
+/**
+ * Format an author as "Last, F. M." for APA
+ * @param {string} name - Author name
+ * @returns {string} APA author name
+ */
+function formatApaAuthor(name) {
+  const { first, last } = splitName(name);
+  const initials = first
+    .split(/[\s.]+/)
+    .filter(Boolean)
+    .map(part => `${part[0].toUpperCase()}.`)
+    .join(' ');
+  return initials ? `${last}, ${initials}` : last;
+}
+
+/**
+ * Format the author list of an APA reference
+ * @param {string[]} authors - Author names
+ * @returns {string} APA author list
+ */
+function formatApaAuthors(authors) {
+  const names = authors.map(formatApaAuthor);
+  if (names.length <= 1) {
+    return names.join('');
+  }
+  return `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+}
+
+/**
+ * Format the author list of an MLA works-cited entry
+ * @param {string[]} authors - Author names
+ * @returns {string} MLA author list
+ */
+function formatMlaAuthors(authors) {
+  if (authors.length === 0) {
+    return '';
+  }
+  const { first, last } = splitName(authors[0]);
+  const firstAuthor = first ? `${last}, ${first}` : last;
+  if (authors.length === 1) {
+    return firstAuthor;
+  }
+  if (authors.length === 2) {
+    const second = splitName(authors[1]);
+    return `${firstAuthor}, and ${[second.first, second.last].filter(Boolean).join(' ')}`;
+  }
+  return `${firstAuthor}, et al.`;
+}
+
+/**
+ * Escape the LaTeX special characters of a BibTeX field value
+ * @param {string} value - Field value
+ * @returns {string} Escaped value
+ */
+function escapeBibtex(value) {
+  return value.replace(/[\\{}&%$#_~^]/g, character => BIBTEX_ESCAPES[character]);
+}
+
+/**
+ * Build a BibTeX key such as "lopezalt2015food"
+ * @param {Object} metadata - Book metadata from createBookMetadata
+ * @returns {string} BibTeX key
+ */
+function getBibtexKey(metadata) {
+  const toKeyPart = text => text.normalize('NFD').replace(/[^\w]/g, '').replace(/_/g, '').toLowerCase();
+  const author = metadata.authors.length > 0 ? toKeyPart(splitName(metadata.authors[0]).last) : 'unknown';
+  const titleWord = metadata.title.split(/\s+/).map(toKeyPart).find(word => word.length > 3 && !['the', 'with', 'from'].includes(word)) || 'book';
+  return `${author}${metadata.year || ''}${titleWord}`;
+}
+
+/**
+ * Describe where a highlight is, using its page when known and its Kindle location otherwise
+ * @param {{page?: string|null, location?: number|null}} record - Highlight record
+ * @param {string} style - Citation style key
+ * @returns {string} Position, e.g. "p. 12" or "loc. 293", or an empty string
+ */
+function formatPosition(record, style) {
+  if (record.page) {
+    return style === 'mla' ? record.page : `p. ${record.page}`;
+  }
+  if (record.location !== null && record.location !== undefined) {
+    return `loc. ${record.location}`;
+  }
+  return '';
+}
+
+/**
+ * Format a reference for the whole book
+ * @param {Object} metadata - Book metadata from createBookMetadata
+ * @param {string} style - 'apa', 'mla' or 'bibtex'
+ * @returns {string} Citation
+ */
+export function formatBookCitation(metadata, style) {
+  if (style === 'apa') {
+    const authors = formatApaAuthors(metadata.authors);
+    const year = metadata.year || 'n.d.';
+    const publisher = metadata.publisher ? ` ${metadata.publisher}.` : '';
+    return `${authors ? `${authors} ` : ''}(${year}). ${metadata.title} [Kindle edition].${publisher}`;
+  }
+  
+  if (style === 'mla') {
+    const authors = formatMlaAuthors(metadata.authors);
+    const publication = [metadata.publisher, metadata.year].filter(Boolean).join(', ');
+    return `${authors ? `${authors.replace(/\.$/, '')}. ` : ''}${metadata.title}. ${publication ? `${publication}. ` : ''}Kindle edition.`;
+  }
+  
+  if (style === 'bibtex') {
+    const fields = [
+      ['author', metadata.authors.map(name => {
+        const { first, last } = splitName(name);
+        return first ? `${last}, ${first}` : last;
+      }).join(' and ')],
+      ['title', metadata.title],
+      ['publisher', metadata.publisher],
+      ['year', metadata.year],
+      ['note', 'Kindle edition']
+    ].filter(([, value]) => value);
+    return `@book{${getBibtexKey(metadata)},\n${fields.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`).join(',\n')}\n}`;
+  }
+  
+  throw new Error(`Unknown citation style: ${style}`);
+}
+
+/**
+ * Format an in-text citation for a single highlight, with its page or location
+ * e.g. APA "(López-Alt, 2015, loc. 293)", MLA "(López-Alt loc. 293)", BibTeX "\cite[loc.~293]{lopezalt2015food}"
+ * @param {Object} metadata - Book metadata from createBookMetadata
+ * @param {{page?: string|null, location?: number|null}} record - Highlight record
+ * @param {string} style - 'apa', 'mla' or 'bibtex'
+ * @returns {string} Citation
+ */
+export function formatHighlightCitation(metadata, record, style) {
+  const authors = formatShortAuthors(metadata) || metadata.title;
+  const position = formatPosition(record, style);
+  
+  if (style === 'apa') {
+    return `(${[authors, metadata.year || 'n.d.', position].filter(Boolean).join(', ')})`;
+  }
+  
+  if (style === 'mla') {
+    return `(${[authors, position].filter(Boolean).join(' ')})`;
+  }
+  
+  if (style === 'bibtex') {
+    const key = getBibtexKey(metadata);
+    return position ? `\\cite[${position.replace(' ', '~')}]{${key}}` : `\\cite{${key}}`;
+  }
+  
+  throw new Error(`Unknown citation style: ${style}`);
+}
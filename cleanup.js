@@ -0,0 +1,253 @@
+// Highlight cleanup module
+// Runs between parsing and output. Kindle highlights are often fragments: the same
+// passage highlighted twice, single words highlighted one at a time, or a passage
+// cut off mid-sentence. Every change is reported so the side panel can show it
+
+const DEFAULT_MAX_LOCATION_GAP = 3;
+const SHORT_HIGHLIGHT_MAX_WORDS = 3;
+const SENTENCE_END = /[.!?:;…)\]"'”’]$/;
+
+/**
+ * Normalize highlight text for comparison
+ * @param {string} text - Highlight text
+ * @returns {string} Lowercase text with collapsed whitespace
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Check whether a record is a highlight of a few words, such as a term ("Conduction")
+ * @param {Object} record - Highlight record
+ * @returns {boolean} True for short highlights
+ */
+function isShortHighlight(record) {
+  return normalizeText(record.text).split(' ').length <= SHORT_HIGHLIGHT_MAX_WORDS;
+}
+
+/**
+ * Shorten text for a change description
+ * @param {string} text - Text to shorten
+ * @returns {string} Text of at most 60 characters
+ */
+function previewText(text) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > 60 ? `${singleLine.slice(0, 57)}...` : singleLine;
+}
+
+/**
+ * Combine the notes of records that become one highlight
+ * @param {Array<string|null>} notes - Notes of the combined records
+ * @returns {string|null} Combined note
+ */
+function combineNotes(notes) {
+  const presentNotes = notes.filter(Boolean);
+  return presentNotes.length > 0 ? presentNotes.join('\n') : null;
+}
+
+/**
+ * Combine the tags (from the Review tab) of records that become one highlight
+ * @param {Array<string[]|undefined>} tagLists - Tags of the combined records
+ * @returns {string[]|undefined} Combined tags, or undefined when none of the records has tags
+ */
+function combineTags(tagLists) {
+  const tags = tagLists.flatMap(tagList => tagList || []);
+  return tags.length > 0 ? [...new Set(tags)] : undefined;
+}
+
+/**
+ * Get the original highlights a record was made from
+ * Only the location and text are kept, which is what fingerprints are built from
+ * @param {Object} record - Highlight record
+ * @returns {Array<{location: number|null, text: string}>} Original highlights
+ */
+function getSources(record) {
+  return record.sources || [{ location: record.location, text: record.text }];
+}
+
+/**
+ * Drop highlights whose text is contained in a longer highlight at the same location
+ * @param {Array} records - Highlight records
+ * @param {Array} changes - Change list to append to
+ * @returns {Array} Remaining records
+ */
+function dropContainedHighlights(records, changes) {
+  const dropped = new Set();
+  
+  records.forEach((record, index) => {
+    if (record.kind !== 'highlight' || record.location === null) {
+      return;
+    }
+    
+    const container = records.find((other, otherIndex) =>
+      otherIndex !== index &&
+      !dropped.has(other) &&
+      other.kind === 'highlight' &&
+      other.chapter === record.chapter &&
+      other.location === record.location &&
+      normalizeText(other.text).length >= normalizeText(record.text).length &&
+      normalizeText(other.text).includes(normalizeText(record.text)) &&
+      // Of two identical highlights, keep the first
+      (normalizeText(other.text).length > normalizeText(record.text).length || otherIndex < index)
+    );
+    
+    if (container) {
+      dropped.add(record);
+      container.sources = [...getSources(container), ...getSources(record)];
+      container.note = combineNotes([container.note, record.note]);
+      container.tags = combineTags([container.tags, record.tags]);
+      changes.push({
+        type: 'dropped',
+        chapter: record.chapter,
+        location: record.location,
+        description: `Dropped "${previewText(record.text)}" (contained in a longer highlight at location ${record.location})`
+      });
+    }
+  });
+  
+  return records.filter(record => !dropped.has(record));
+}
+
+/**
+ * Merge highlights at adjacent locations; runs of short highlights (terms that only make sense
+ * together) are joined as a list
+ * @param {Array} records - Highlight records
+ * @param {number} maxLocationGap - Largest location gap between highlights that are merged
+ * @param {Array} changes - Change list to append to
+ * @returns {Array} Merged records
+ */
+function mergeAdjacentHighlights(records, maxLocationGap, changes) {
+  const merged = [];
+  let group = null;
+  
+  const closeGroup = () => {
+    if (group && group.members.length > 1) {
+      const firstLocation = group.members[0].location;
+      const lastLocation = group.members[group.members.length - 1].location;
+      changes.push({
+        type: 'merged',
+        chapter: group.record.chapter,
+        location: firstLocation,
+        description: `Merged ${group.members.length} highlights at locations ${firstLocation}–${lastLocation}: "${previewText(group.record.text)}"`
+      });
+    }
+    group = null;
+  };
+  
+  for (const record of records) {
+    const previous = group ? group.members[group.members.length - 1] : null;
+    const gap = previous && previous.location !== null && record.location !== null ? record.location - previous.location : null;
+    const shortRun = group && group.allShort && isShortHighlight(record);
+    
+    const canMerge = previous &&
+      record.kind === 'highlight' &&
+      record.chapter === previous.chapter &&
+      (record.subsection || '') === (previous.subsection || '') &&
+      (record.color || null) === (previous.color || null) &&
+      gap !== null && gap >= 0 && gap <= maxLocationGap;
+    
+    if (canMerge) {
+      // Short terms read as a list; elided text between cut-off highlights is marked
+      const separator = shortRun ? ', ' : SENTENCE_END.test(group.record.text.trim()) ? ' ' : ' … ';
+      group.record.text = `${group.record.text.trim()}${separator}${record.text.trim()}`;
+      group.record.note = combineNotes([group.record.note, record.note]);
+      group.record.tags = combineTags([group.record.tags, record.tags]);
+      group.record.sources = [...group.record.sources, ...getSources(record)];
+      group.members.push(record);
+      group.allShort = shortRun;
+      continue;
+    }
+    
+    closeGroup();
+    
+    if (record.kind === 'highlight') {
+      const groupRecord = { ...record, sources: getSources(record) };
+      group = { record: groupRecord, members: [record], allShort: isShortHighlight(record) };
+      merged.push(groupRecord);
+    } else {
+      merged.push(record);
+    }
+  }
+  closeGroup();
+  
+  // Records that weren't combined with others don't need their sources
+  return merged.map(record => {
+    if (record.sources && record.sources.length === 1 && record.sources[0].text === record.text) {
+      const { sources, ...rest } = record;
+      return rest;
+    }
+    return record;
+  });
+}
+
+/**
+ * Flag highlights that start or end in the middle of a sentence
+ * Short highlights, and lists merged from them, are left alone because they are usually terms
+ * @param {Array} records - Highlight records
+ * @param {Array} changes - Change list to append to
+ * @returns {Array} Records with truncatedStart and truncatedEnd set
+ */
+function flagTruncatedHighlights(records, changes) {
+  return records.map(record => {
+    if (record.kind !== 'highlight' || getSources(record).every(isShortHighlight)) {
+      return record;
+    }
+    
+    const text = record.text.trim();
+    const truncatedStart = /^\p{Ll}/u.test(text);
+    const truncatedEnd = !SENTENCE_END.test(text);
+    if (!truncatedStart && !truncatedEnd) {
+      return record;
+    }
+    
+    const reasons = [];
+    if (truncatedStart) reasons.push('starts mid-sentence');
+    if (truncatedEnd) reasons.push('ends mid-sentence');
+    changes.push({
+      type: 'flagged',
+      chapter: record.chapter,
+      location: record.location,
+      description: `Flagged "${previewText(text)}" (${reasons.join(', ')})`
+    });
+    
+    return { ...record, truncatedStart, truncatedEnd };
+  });
+}
+
+/**
+ * Clean up fragmented and overlapping highlights
+ * Records that absorb others list the original records in `sources`, so the highlights
+ * they came from can still be fingerprinted (see sync.js)
+ * @param {Array} records - Highlight records in book order
+ * @param {Object} options - Cleanup options
+ * @param {number} options.maxLocationGap - Largest location gap between highlights that are merged
+ * @returns {{records: Array, changes: Array<{type: string, chapter: string, location: number|null, description: string}>}} Cleaned records and the changes made
+ */
+export function cleanupHighlights(records, options = {}) {
+  const maxLocationGap = options.maxLocationGap >= 0 ? options.maxLocationGap : DEFAULT_MAX_LOCATION_GAP;
+  const changes = [];
+  
+  // Work on copies so the library's records are left untouched
+  let cleaned = records.map(record => ({ ...record }));
+  cleaned = dropContainedHighlights(cleaned, changes);
+  cleaned = mergeAdjacentHighlights(cleaned, maxLocationGap, changes);
+  cleaned = flagTruncatedHighlights(cleaned, changes);
+  
+  return { records: cleaned, changes };
+}
+
+/**
+ * Summarize cleanup changes, e.g. "2 merged, 1 dropped, 3 flagged"
+ * @param {Array} changes - Changes from cleanupHighlights
+ * @returns {string} Summary, or an empty string when nothing changed
+ */
+export function summarizeCleanupChanges(changes) {
+  const counts = { merged: 0, dropped: 0, flagged: 0 };
+  changes.forEach(change => {
+    counts[change.type]++;
+  });
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${type}`)
+    .join(', ');
+}
@@ -0,0 +1,213 @@
+// Kindle "My Clippings.txt" import module
+// E-ink Kindles append every highlight, note and bookmark of every book to
+// documents/My Clippings.txt, with entries separated by "==========" lines
+
+const CLIPPING_SEPARATOR = /^={10}\s*$/m;
+const DEFAULT_LOCATION_RANGE_SIZE = 500;
+const FRONT_MATTER_CHAPTER = 'Front matter';
+const UNLOCATED_CHAPTER = 'Highlights without location';
+
+/**
+ * Parse the "Title (Author)" line of a clipping
+ * @param {string} line - First line of the clipping
+ * @returns {{title: string, authors: string|null}}
+ */
+function parseTitleLine(line) {
+  // The author is the last parenthesized group; titles may contain parentheses too
+  const match = line.match(/^(.*)\s+\(([^()]*)\)\s*$/);
+  if (match) {
+    return { title: match[1].trim(), authors: match[2].trim() || null };
+  }
+  return { title: line.trim(), authors: null };
+}
+
+/**
+ * Parse the metadata line of a clipping
+ * e.g. "- Your Highlight on page 12 | Location 150-152 | Added on Monday, January 1, 2024 10:00:00 AM"
+ * @param {string} line - Second line of the clipping
+ * @returns {{kind: string, page: string|null, location: number|null, locationEnd: number|null}}
+ */
+function parseMetadataLine(line) {
+  const kindMatch = line.match(/Your\s+(Highlight|Note|Bookmark)/i);
+  const pageMatch = line.match(/page\s+([\w-]+)/i);
+  const locationMatch = line.match(/location\s+(\d+)(?:\s*-\s*(\d+))?/i);
+  
+  const location = locationMatch ? parseInt(locationMatch[1], 10) : null;
+  const locationEnd = locationMatch && locationMatch[2] ? parseInt(locationMatch[2], 10) : location;
+  
+  return {
+    kind: kindMatch ? kindMatch[1].toLowerCase() : 'highlight',
+    page: pageMatch ? pageMatch[1] : null,
+    location,
+    locationEnd
+  };
+}
+
+/**
+ * Parse a "My Clippings.txt" file into books
+ * Bookmarks are skipped because they carry no text
+ * @param {string} fileContent - Content of My Clippings.txt
+ * @returns {Array<{title: string, authors: string|null, clippings: Array}>} Books in order of first appearance
+ */
+export function parseClippings(fileContent) {
+  const books = [];
+  const booksByKey = new Map();
+  
+  const entries = fileContent.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(CLIPPING_SEPARATOR);
+  
+  for (const entry of entries) {
+    const lines = entry.split('\n').map(line => line.replace(/^\uFEFF/, ''));
+    
+    // Skip leading blank lines left over from the separator
+    while (lines.length > 0 && lines[0].trim() === '') {
+      lines.shift();
+    }
+    
+    if (lines.length < 2 || !lines[1].trim().startsWith('-')) {
+      continue;
+    }
+    
+    const { title, authors } = parseTitleLine(lines[0]);
+    const metadata = parseMetadataLine(lines[1]);
+    const text = lines.slice(2).join('\n').trim();
+    
+    if (metadata.kind === 'bookmark' || !text) {
+      continue;
+    }
+    
+    const key = `${title}\u0000${authors || ''}`;
+    let book = booksByKey.get(key);
+    if (!book) {
+      book = { title, authors, clippings: [] };
+      booksByKey.set(key, book);
+      books.push(book);
+    }
+    
+    book.clippings.push({ ...metadata, text });
+  }
+  
+  return books;
+}
+
+/**
+ * Parse a user-supplied table of contents
+ * One chapter per line, starting with its first location: "150 Chapter 1: Beginnings"
+ * @param {string} tableOfContents - Table of contents text
+ * @returns {Array<{location: number, title: string}>} Entries sorted by location
+ */
+export function parseTableOfContents(tableOfContents) {
+  if (!tableOfContents) {
+    return [];
+  }
+  
+  return tableOfContents
+    .split('\n')
+    .map(line => line.match(/^\s*(\d+)\s*[-–:|.]?\s+(.+?)\s*$/))
+    .filter(Boolean)
+    .map(match => ({ location: parseInt(match[1], 10), title: match[2] }))
+    .sort((a, b) => a.location - b.location);
+}
+
+/**
+ * Find the chapter a location belongs to
+ * @param {number|null} location - Kindle location
+ * @param {Array<{location: number, title: string}>} tocEntries - Parsed table of contents
+ * @param {number} locationRangeSize - Locations per chapter when there is no table of contents
+ * @returns {string} Chapter name
+ */
+function getChapterForLocation(location, tocEntries, locationRangeSize) {
+  if (location === null) {
+    return UNLOCATED_CHAPTER;
+  }
+  
+  if (tocEntries.length > 0) {
+    let chapter = FRONT_MATTER_CHAPTER;
+    for (const entry of tocEntries) {
+      if (entry.location > location) {
+        break;
+      }
+      chapter = entry.title;
+    }
+    return chapter;
+  }
+  
+  const start = Math.floor((location - 1) / locationRangeSize) * locationRangeSize + 1;
+  return `Locations ${start}–${start + locationRangeSize - 1}`;
+}
+
+/**
+ * Group the clippings of one book into chapters
+ * Produces the same book shape as parseKindleBook in kindle.js
+ * Also used for Kindle Cloud Reader imports, whose entries may carry a color and an attached note
+ * @param {{title: string, authors: string|null, asin?: string, clippings: Array}} clippingsBook - Book from parseClippings or scrapeKindleNotebook
+ * @param {Object} options - Grouping options
+ * @param {string} options.tableOfContents - Optional table of contents (see parseTableOfContents)
+ * @param {number} options.locationRangeSize - Locations per chapter when there is no table of contents
+ * @returns {{title: string, authors: string|null, asin: string|null, chapters: string[], records: Array}} Parsed book
+ */
+export function groupClippingsIntoChapters(clippingsBook, options = {}) {
+  const tocEntries = parseTableOfContents(options.tableOfContents);
+  const locationRangeSize = options.locationRangeSize > 0 ? options.locationRangeSize : DEFAULT_LOCATION_RANGE_SIZE;
+  
+  // Clippings are stored in the order they were made; sort them by position in the book
+  const clippings = clippingsBook.clippings
+    .map((clipping, index) => ({ ...clipping, index }))
+    .sort((a, b) => {
+      if (a.location === null || b.location === null) {
+        return (a.location === null) - (b.location === null) || a.index - b.index;
+      }
+      return a.location - b.location || (a.kind === 'note') - (b.kind === 'note') || a.index - b.index;
+    });
+  
+  const records = [];
+  const chapters = [];
+  
+  for (const clipping of clippings) {
+    const chapter = getChapterForLocation(clipping.location, tocEntries, locationRangeSize);
+    
+    // Attach a note to the preceding highlight whose range contains the note's location
+    const previous = records[records.length - 1];
+    if (clipping.kind === 'note' && previous && previous.kind === 'highlight' && !previous.note &&
+        clipping.location !== null && previous.location !== null &&
+        clipping.location >= previous.location && clipping.location <= previous.locationEnd) {
+      previous.note = clipping.text;
+      continue;
+    }
+    
+    if (!chapters.includes(chapter)) {
+      chapters.push(chapter);
+    }
+    
+    records.push({
+      book: clippingsBook.title,
+      authors: clippingsBook.authors,
+      chapter,
+      kind: clipping.kind,
+      color: clipping.color || null,
+      subsection: '',
+      location: clipping.location,
+      locationEnd: clipping.locationEnd,
+      page: clipping.page,
+      text: clipping.text,
+      note: clipping.note || null
+    });
+  }
+  
+  return {
+    title: clippingsBook.title,
+    authors: clippingsBook.authors,
+    asin: clippingsBook.asin || null,
+    chapters,
+    // locationEnd is only needed while linking notes
+    records: records.map(({ locationEnd, ...record }) => record)
+  };
+}
+
+/**
+ * Check whether a file looks like a Kindle "My Clippings.txt" file
+ * @param {string} fileName - File name
+ * @returns {boolean} True for .txt files
+ */
+export function isClippingsFile(fileName) {
+  return !!fileName && fileName.toLowerCase().endsWith('.txt');
+}
@@ -22,6 +22,14 @@ async function loadNotebooklmModule() {
   return moduleLoadPromise;
 }
 
+// Aborts the automation this tab is running when the run that started it is cancelled
+let automationController = null;
+
+function startAutomation() {
+  automationController = new AbortController();
+  return automationController.signal;
+}
+
 // Preload the module when content script initializes
 loadNotebooklmModule().catch(err => {
   console.warn('Failed to preload notebooklm module:', err);
@@ -45,7 +53,17 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     }
   };
   
+  if (request.action === 'cancelAutomation') {
+    // The running automation stops at its next safe point
+    if (automationController) {
+      automationController.abort();
+    }
+    safeSendResponse({success: true});
+    return false;
+  }
+  
   if (request.action === 'openNotebookAndExport') {
+    const signal = startAutomation();
     loadNotebooklmModule()
       .then(module => {
         return module.openNotebookByName(request.bookName)
@@ -54,7 +72,7 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
             return new Promise(resolve => setTimeout(resolve, 2000));
           })
           .then(() => {
-            return module.handleNotebooklmExport(request.content, request.sourceName);
+            return module.handleNotebooklmExport(request.content, request.sourceName, signal);
           });
       })
       .then(result => {
@@ -67,10 +85,38 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     return true; // Keep message channel open for async response
   }
   
+  if (request.action === 'openNotebookAndRemove') {
+    loadNotebooklmModule()
+      .then(async module => {
+        await module.openNotebookByName(request.bookName);
+        // Wait for notebook page to load
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        
+        // Decks first, then the sources they were made from; one result per item
+        const results = [];
+        for (const name of request.flashcardDecks) {
+          results.push({ type: 'flashcards', name, ...await module.handleDeleteFlashcards(name) });
+        }
+        for (const name of request.sourceNames) {
+          results.push({ type: 'source', name, ...await module.handleRemoveSource(name) });
+        }
+        return { success: true, results };
+      })
+      .then(result => {
+        safeSendResponse(result);
+      })
+      .catch(error => {
+        console.error('Error in openNotebookAndRemove:', error);
+        safeSendResponse({success: false, error: error.message});
+      });
+    return true; // Keep message channel open for async response
+  }
+  
   if (request.action === 'exportToNotebooklm') {
+    const signal = startAutomation();
     loadNotebooklmModule()
       .then(module => {
-        return module.handleNotebooklmExport(request.content, request.sourceName);
+        return module.handleNotebooklmExport(request.content, request.sourceName, signal);
       })
       .then(result => {
         safeSendResponse(result);
@@ -82,7 +128,7 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     return true; // Keep message channel open for async response
   }
   
-  if (request.action === 'createFlashcards') {
+  if (request.action === 'openNotebookAndCreateFlashcards') {
     // Create a status update callback that sends messages back to the extension
     const statusUpdateCallback = (message) => {
       // Send status update message to background/popup
@@ -94,27 +140,36 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
       });
     };
     
+    const signal = startAutomation();
     loadNotebooklmModule()
       .then(module => {
-        return module.handleCreateFlashcards(request.sourceName, request.chapterName, statusUpdateCallback);
+        return module.openNotebookByName(request.bookName)
+          .then(() => {
+            // Wait for notebook page to load
+            return new Promise(resolve => setTimeout(resolve, 2000));
+          })
+          .then(() => {
+            return module.handleCreateFlashcards(request.sourceName, request.chapterName, statusUpdateCallback, signal);
+          });
       })
       .then(result => {
         safeSendResponse(result);
       })
       .catch(error => {
-        console.error('Error in createFlashcards:', error);
+        console.error('Error in openNotebookAndCreateFlashcards:', error);
         safeSendResponse({success: false, error: error.message});
       });
     return true; // Keep message channel open for async response
   }
   
   if (request.action === 'sendToGeminiChat') {
+    const signal = startAutomation();
     // Load gemini_chat.js module dynamically
     (async () => {
       try {
         const moduleUrl = chrome.runtime.getURL('gemini_chat.js');
         const geminiChatModule = await import(moduleUrl);
-        return geminiChatModule.handleSendToGeminiChat(request.content, request.bookName, request.chapterName);
+        return geminiChatModule.handleSendToGeminiChat(request.content, request.bookName, request.chapterName, signal);
       } catch (error) {
         console.error('Failed to load gemini_chat module:', error);
         throw error;
@@ -152,6 +207,28 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     return true; // Keep message channel open for async response
   }
   
+  if (request.action === 'scrapeKindleNotebook') {
+    // Load kindle_cloud_reader.js module dynamically
+    (async () => {
+      try {
+        const moduleUrl = chrome.runtime.getURL('kindle_cloud_reader.js');
+        const kindleCloudReaderModule = await import(moduleUrl);
+        return kindleCloudReaderModule.scrapeKindleNotebook();
+      } catch (error) {
+        console.error('Failed to load kindle_cloud_reader module:', error);
+        throw error;
+      }
+    })()
+      .then(book => {
+        safeSendResponse({success: true, book: book});
+      })
+      .catch(error => {
+        console.error('Error in scrapeKindleNotebook:', error);
+        safeSendResponse({success: false, error: error.message});
+      });
+    return true; // Keep message channel open for async response
+  }
+  
   if (request.action === 'ping') {
     // Respond to ping to indicate content script is ready
     safeSendResponse({status: 'ready'});
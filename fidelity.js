@@ -0,0 +1,323 @@
+// Fidelity check module
+// Verifies that the AI rewrite of a chapter kept the information of its highlights and didn't
+// add any. Each section of the rewrite is compared with the highlights it was made from: every
+// highlight is aligned with the rewritten sentences that cover most of its words, and every
+// rewritten sentence with the highlights that support most of its words. Numbers and names must
+// survive both ways. Highlights that seem missing and sentences with no supporting highlight are
+// flagged, and each section gets a coverage score. It is a heuristic that points at what to review
+
+// Share of a highlight's words that must be found in the rewrite for the highlight to count as kept
+const HIGHLIGHT_KEPT_THRESHOLD = 0.5;
+
+// Share of a rewritten sentence's words that must come from the highlights for it to count as supported
+const SENTENCE_SUPPORTED_THRESHOLD = 0.4;
+
+// Rewritten sentences with fewer words than this (short headings, labels) aren't checked
+const MIN_CHECKED_SENTENCE_WORDS = 4;
+
+// Words, with their possessive or contraction ("author's")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu;
+
+// Words that carry no information of their own
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'during', 'each', 'even', 'few', 'for', 'from', 'further', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'just', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'no', 'nor', 'not', 'of',
+  'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same',
+  'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'would', 'you', 'your', 'yours'
+]);
+
+/**
+ * Check a rewritten chapter against the highlights it was made from
+ * Sections are matched by their ### headings, which the rewrite keeps in order (see gemini.js);
+ * headings the rewrite added belong to the section before them
+ * @param {string} originalContent - Highlights Markdown the AI was given
+ * @param {string} rewrittenContent - Rewritten Markdown
+ * @param {string} knownText - Other text the AI was given, e.g. the book title, authors and chapter, whose names aren't invented
+ * @returns {{coverage: number, highlightCount: number, missingCount: number, unsupportedCount: number,
+ *   sections: Array<{section: string, coverage: number, highlightCount: number, missing: Array<{text: string, reasons: string[]}>,
+ *   unsupported: Array<{text: string, reasons: string[]}>}>}} Fidelity report; coverage is the share of the
+ *   highlights' words found in the rewrite, from 0 to 1
+ */
+export function checkFidelity(originalContent, rewrittenContent, knownText = '') {
+  const knownWords = new Set(getWords(knownText));
+  const knownNumbers = new Set(getNumbers(knownText));
+  const sections = alignSections(splitSections(originalContent), splitSections(rewrittenContent))
+    .map(section => checkSection(section, knownWords, knownNumbers));
+
+  const wordCount = sections.reduce((total, section) => total + section.wordCount, 0);
+  return {
+    coverage: wordCount > 0 ? sections.reduce((total, section) => total + section.coverage * section.wordCount, 0) / wordCount : 1,
+    highlightCount: sections.reduce((total, section) => total + section.highlightCount, 0),
+    missingCount: sections.reduce((total, section) => total + section.missing.length, 0),
+    unsupportedCount: sections.reduce((total, section) => total + section.unsupported.length, 0),
+    sections: sections.map(({ wordCount: sectionWordCount, ...section }) => section)
+  };
+}
+
+/**
+ * Summarize a fidelity report
+ * @param {{coverage: number, missingCount: number, unsupportedCount: number}} report - Report from checkFidelity
+ * @returns {string} e.g. "94% coverage, 1 highlight(s) missing, 2 unsupported sentence(s)"
+ */
+export function summarizeFidelity(report) {
+  return `${Math.round(report.coverage * 100)}% coverage, ${report.missingCount} highlight(s) missing, ${report.unsupportedCount} unsupported sentence(s)`;
+}
+
+/**
+ * Check one section of the rewrite against its highlights
+ * @param {{title: string|null, content: string, rewritten: string}} section - Section with its highlights and rewritten text
+ * @param {Set<string>} knownWords - Words of the other text the AI was given
+ * @param {Set<string>} knownNumbers - Numbers of the other text the AI was given
+ * @returns {Object} Section report, with the word count of its highlights to weigh the chapter coverage
+ */
+function checkSection(section, knownWords, knownNumbers) {
+  const highlights = splitHighlights(section.content).map(createPassage).filter(passage => passage.words.size > 0);
+  const sentences = splitRewrittenSentences(section.rewritten).map(createPassage);
+
+  const rewrittenWords = new Set(sentences.flatMap(sentence => [...sentence.words]));
+  const rewrittenNumbers = new Set(sentences.flatMap(sentence => sentence.numbers));
+  const originalWords = new Set([...highlights.flatMap(highlight => [...highlight.words]), ...knownWords]);
+  const originalNumbers = new Set([...highlights.flatMap(highlight => highlight.numbers), ...knownNumbers]);
+
+  // Every highlight should be covered by one or two neighbouring rewritten sentences
+  let wordCount = 0;
+  let coveredWordCount = 0;
+  const missing = [];
+  highlights.forEach(highlight => {
+    const highlightSentences = splitSentences(highlight.text).map(createPassage).filter(passage => passage.words.size > 0);
+    const highlightWordCount = highlightSentences.reduce((total, passage) => total + passage.words.size, 0);
+    const coveredWords = highlightSentences.reduce((total, passage) => total + passage.words.size * findBestOverlap(passage.words, sentences), 0);
+    const coverage = highlightWordCount > 0 ? coveredWords / highlightWordCount : 1;
+    wordCount += highlightWordCount;
+    coveredWordCount += coveredWords;
+
+    const droppedFacts = [
+      ...highlight.numbers.filter(number => !rewrittenNumbers.has(number)),
+      ...highlight.names.filter(name => !rewrittenWords.has(stemWord(name.toLowerCase())))
+    ];
+    const reasons = [];
+    if (coverage < HIGHLIGHT_KEPT_THRESHOLD) {
+      reasons.push(`only ${Math.round(coverage * 100)}% of its words are in the rewrite`);
+    }
+    if (droppedFacts.length > 0) {
+      reasons.push(`drops ${[...new Set(droppedFacts)].join(', ')}`);
+    }
+    if (reasons.length > 0) {
+      missing.push({ text: highlight.text, reasons });
+    }
+  });
+
+  // Every rewritten sentence should come from one or two neighbouring highlights
+  const unsupported = [];
+  sentences.filter(sentence => sentence.words.size >= MIN_CHECKED_SENTENCE_WORDS).forEach(sentence => {
+    const support = findBestOverlap(sentence.words, highlights);
+    const addedFacts = [
+      ...sentence.numbers.filter(number => !originalNumbers.has(number)),
+      ...sentence.names.filter(name => !originalWords.has(stemWord(name.toLowerCase())))
+    ];
+    const reasons = [];
+    if (support < SENTENCE_SUPPORTED_THRESHOLD) {
+      reasons.push(`only ${Math.round(support * 100)}% of its words come from the highlights`);
+    }
+    if (addedFacts.length > 0) {
+      reasons.push(`adds ${[...new Set(addedFacts)].join(', ')}`);
+    }
+    if (reasons.length > 0) {
+      unsupported.push({ text: sentence.text, reasons });
+    }
+  });
+
+  return {
+    section: section.title || 'Introduction',
+    coverage: wordCount > 0 ? coveredWordCount / wordCount : 1,
+    highlightCount: highlights.length,
+    missing,
+    unsupported,
+    wordCount
+  };
+}
+
+/**
+ * Find the share of some words found in the best matching passage, or pair of neighbouring passages
+ * @param {Set<string>} words - Words to find
+ * @param {Array<{words: Set<string>}>} passages - Passages to search, in order
+ * @returns {number} Best share, from 0 to 1
+ */
+function findBestOverlap(words, passages) {
+  let best = 0;
+  passages.forEach((passage, index) => {
+    const next = passages[index + 1];
+    let found = 0;
+    words.forEach(word => {
+      if (passage.words.has(word) || (next && next.words.has(word))) {
+        found++;
+      }
+    });
+    best = Math.max(best, found / words.size);
+  });
+  return best;
+}
+
+/**
+ * Split Markdown into sections at its ### headings, leaving out the ## chapter heading
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{title: string|null, content: string}>} Sections, the text before the first heading untitled
+ */
+function splitSections(markdown) {
+  const sections = [{ title: null, lines: [] }];
+  (markdown || '').split('\n').forEach(line => {
+    const heading = line.match(/^###\s+(.+)$/);
+    if (heading) {
+      sections.push({ title: heading[1].trim(), lines: [] });
+    } else if (!/^##\s/.test(line)) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  return sections
+    .map(section => ({ title: section.title, content: section.lines.join('\n').trim() }))
+    .filter(section => section.title !== null || section.content);
+}
+
+/**
+ * Match the sections of the rewrite with the sections of the highlights by their headings
+ * @param {Array<{title: string|null, content: string}>} originalSections - Sections of the highlights
+ * @param {Array<{title: string|null, content: string}>} rewrittenSections - Sections of the rewrite
+ * @returns {Array<{title: string|null, content: string, rewritten: string}>} Highlight sections with their rewritten text
+ */
+function alignSections(originalSections, rewrittenSections) {
+  const sections = originalSections.map(section => ({ ...section, rewrittenParts: [] }));
+  let current = 0;
+  rewrittenSections.forEach(rewrittenSection => {
+    const match = rewrittenSection.title === null
+      ? -1
+      : sections.findIndex((section, index) => index >= current && section.title === rewrittenSection.title);
+    if (match >= 0) {
+      current = match;
+      sections[current].rewrittenParts.push(rewrittenSection.content);
+    } else if (sections.length > 0) {
+      sections[current].rewrittenParts.push(rewrittenSection.title ? `${rewrittenSection.title}\n${rewrittenSection.content}` : rewrittenSection.content);
+    }
+  });
+  return sections.map(({ rewrittenParts, ...section }) => ({ ...section, rewritten: rewrittenParts.join('\n\n') }));
+}
+
+/**
+ * Split the content of a highlights section into its highlights
+ * Every paragraph is a highlight or one of the user's notes, which must be kept as well
+ * @param {string} content - Section content
+ * @returns {string[]} Highlight texts without their Markdown
+ */
+function splitHighlights(content) {
+  return content
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.split('\n').map(stripMarkdown).filter(Boolean).join(' '))
+    .filter(Boolean);
+}
+
+/**
+ * Split rewritten text into sentences
+ * @param {string} text - Rewritten Markdown
+ * @returns {string[]} Sentences without their Markdown
+ */
+function splitRewrittenSentences(text) {
+  return text
+    .split('\n')
+    // The reference for the book is added after processing (see actions.js)
+    .filter(line => !line.startsWith('**Reference:**'))
+    .map(stripMarkdown)
+    .filter(Boolean)
+    .flatMap(splitSentences);
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text without Markdown
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?…])\s+(?=["“'(\p{Lu}\d])/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remove the Markdown of a line, along with markup that isn't information: links back to
+ * the book, color labels, "My note:" labels and tags
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text
+ */
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s*(#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+)/, '')
+    .replace(/^My note:\s*/i, '')
+    .replace(/\[(?:Location|Page)\b[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*[^*]+:\*\*/g, '')
+    .replace(/(^|\s)#[\w-]+/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Describe a passage of text for matching
+ * @param {string} text - Plain text
+ * @returns {{text: string, words: Set<string>, numbers: string[], names: string[]}} Passage with its word stems, numbers and names
+ */
+function createPassage(text) {
+  return { text, words: new Set(getWords(text)), numbers: getNumbers(text), names: getNames(text) };
+}
+
+/**
+ * Get the word stems of a text that carry information
+ * @param {string} text - Plain text
+ * @returns {string[]} Word stems
+ */
+function getWords(text) {
+  return ((text || '').toLowerCase().match(WORD_PATTERN) || [])
+    .filter(word => !STOP_WORDS.has(word) && (word.length > 2 || /\d/.test(word)))
+    .map(stemWord);
+}
+
+/**
+ * Reduce a word to a crude stem, so "process", "processes" and "processing" match:
+ * no possessive or plural "s", and at most six letters
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stemWord(word) {
+  if (/\d/.test(word)) {
+    return word;
+  }
+  return word
+    .replace(/['’]s$/, '')
+    .replace(/([^s])s$/, '$1')
+    .slice(0, 6);
+}
+
+/**
+ * Get the numbers of a text, without thousands separators
+ * @param {string} text - Plain text
+ * @returns {string[]} Numbers
+ */
+function getNumbers(text) {
+  return ((text || '').match(/\d+(?:[.,]\d+)*/g) || []).map(number => number.replace(/,(?=\d{3}\b)/g, ''));
+}
+
+/**
+ * Get the names of a sentence: capitalized words other than the first one
+ * @param {string} text - Plain text
+ * @returns {string[]} Names
+ */
+function getNames(text) {
+  return splitSentences(text).flatMap(sentence => (sentence.match(WORD_PATTERN) || [])
+    .slice(1)
+    .filter(word => /^\p{Lu}/u.test(word) && word.length > 1 && !STOP_WORDS.has(word.toLowerCase())));
+}
@@ -1,77 +1,90 @@
-// Gemini API integration module
+// AI highlight processing module
+// Splits the highlights of a chapter into sections and has each one rewritten by the AI provider
+// chosen in the Config tab (see llm.js), with the prompt template of the run (see prompts.js).
+// Sections are measured in tokens against the provider's budgets: a section too long for one
+// request is split between highlights, and small sections are packed into a single request.
+// Results are cached by prompt (see ai_cache.js), so running a chapter again reuses them.
+// Gemini was the only provider at first, hence the module and function names
 
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
-const GEMINI_MODEL = 'gemini-2.5-flash';
+import { DEFAULT_PROMPT_TEMPLATE_ID, findPromptTemplate, createPromptVariables, renderPromptTemplate } from './prompts.js';
+import { getLlmConfigError, generateTextWithRetries, countTokens } from './llm.js';
+import { createAiCacheKey, getCachedAiResult, cacheAiResult, getCachedTokensPerChar, cacheTokensPerChar } from './ai_cache.js';
+
+// Characters per token of the local estimate, about right for English prose
+const CHARS_PER_TOKEN = 4;
+
+// Sections estimated below this many tokens are packed together with their neighbours
+const SMALL_SECTION_TOKENS = 250;
+
+// Requests never carry less than this many tokens of highlights, however long the prompt template is
+const MIN_CHUNK_TOKENS = 200;
+
+// Added to the prompt of a request that packs several sections, so their results can be told apart
+const PACKED_SECTIONS_INSTRUCTIONS = 'The text above holds several sections, each starting with a "### " heading. Keep each of these headings unchanged and in the same order, followed by the result for its section, and add no headings of your own: use bold text instead.';
 
 /**
- * Process a single section of highlights using Gemini API
+ * Process a single section of highlights with the AI provider
  * @param {string} sectionContent - The highlights text for a single section
- * @param {string} apiKey - Gemini API key
- * @returns {Promise<string>} Processed and formatted text
+ * @param {Object} llmConfig - AI provider configuration from createLlmConfig (llm.js)
+ * @param {Object} promptContext - What the prompt is made from
+ * @param {string} promptContext.template - Prompt template text (see prompts.js)
+ * @param {Object|null} promptContext.bookMetadata - Book metadata from createBookMetadata (citation.js)
+ * @param {string|null} promptContext.chapter - Chapter name
+ * @param {string|null} promptContext.section - Section name
+ * @param {string|null} promptContext.instructions - Extra instructions from the book profile
+ * @param {boolean} promptContext.packed - Whether the text packs several sections under their ### headings
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @param {Function|null} onRetry - Optional callback before a failed request is retried (error, attempt, delayMs)
+ * @param {boolean} forceReprocess - Call the provider even when the result is cached
+ * @returns {Promise<{text: string, attempts: number, cacheKey: string|null, cached: boolean}>} Processed and formatted text,
+ *   the number of requests it took (none for a cached result) and the cache key to save a new result under
  */
-async function processSingleSection(sectionContent, apiKey) {
+async function processSingleSection(sectionContent, llmConfig, { template, bookMetadata, chapter, section, instructions, packed = false }, signal = null, onRetry = null, forceReprocess = false) {
   if (!sectionContent || sectionContent.trim() === '') {
-    return '';
+    return { text: '', attempts: 0, cacheKey: null, cached: false };
   }
 
-  const prompt = `I will give you a text that contains a list of highlights I copied from a Kindle book. Please parse this content in order to make it more readable. The result should be properly formatted, in complete sentences and paragraphs, and with headings when necessary. Don't make too many changes, the actual content (information that the text provides) should remain the same. Respond only with the formatted text. Here is the original text:\n\n${sectionContent}`;
-
-  const requestBody = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt
-          }
-        ]
-      }
-    ],
-    generationConfig: {
-      thinkingConfig: {
-        thinkingBudget: 0
-      }
-    }
-  };
-
-  const response = await fetch(`${GEMINI_API_BASE}/models/${GEMINI_MODEL}:generateContent`, {
-    method: 'POST',
-    headers: {
-      'x-goog-api-key': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ message: response.statusText }));
-    throw new Error(`Gemini API error: ${errorData.message || errorData.error?.message || response.statusText}`);
+  let prompt = renderPromptTemplate(template, createPromptVariables({ bookMetadata, chapter, section, sectionContent, instructions }));
+  if (packed) {
+    prompt += `\n\n${PACKED_SECTIONS_INSTRUCTIONS}`;
   }
 
-  const data = await response.json();
-
-  // Extract the generated text from the response
-  if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) {
-    const generatedText = data.candidates[0].content.parts
-      .map(part => part.text)
-      .join('');
-    
-    return generatedText.trim();
+  const cacheKey = await createAiCacheKey(llmConfig, prompt);
+  const cachedText = forceReprocess ? null : await getCachedAiResult(cacheKey);
+  if (cachedText !== null) {
+    return { text: cachedText, attempts: 0, cacheKey, cached: true };
   }
 
-  throw new Error('Invalid response format from Gemini API');
+  const { text, attempts } = await generateTextWithRetries(prompt, llmConfig, { signal, onRetry });
+  return { text, attempts, cacheKey, cached: false };
 }
 
 /**
- * Process highlights using Gemini API to make them more readable
- * Processes each section separately (sections are identified by ### headings)
+ * Process highlights with the AI provider to make them more readable
+ * Processes the text section by section (sections are identified by ### headings), several requests
+ * at a time up to the provider's concurrency limit. Each request stays within the provider's token
+ * budgets: longer sections are split between highlights and small ones are packed together. Failed
+ * requests are retried with backoff; a section that still fails keeps its original highlights and
+ * is marked as such in the returned outcomes
  * @param {string} highlightsText - The raw highlights text to process
- * @param {string} apiKey - Gemini API key
- * @param {Function} progressCallback - Optional callback to report progress (sectionName, current, total)
- * @returns {Promise<string>} Processed and formatted text
+ * @param {Object} llmConfig - AI provider configuration from createLlmConfig (llm.js)
+ * @param {Function} progressCallback - Optional callback to report progress as requests finish (requestName, completed, total)
+ * @param {Object|null} bookMetadata - Book metadata from createBookMetadata (citation.js), used to name the book in the prompt
+ * @param {AbortSignal|null} signal - Optional signal that stops the processing; the current requests are aborted
+ * @param {Object} options - Optional prompt and retry choices
+ * @param {string} options.template - Prompt template text (see prompts.js); the default template when omitted
+ * @param {string|null} options.chapter - Chapter name; the ## heading of the text when omitted
+ * @param {string|null} options.instructions - Extra instructions from the book profile
+ * @param {Function|null} options.onRetry - Called before a failed request is retried (requestName, error, attempt, delayMs)
+ * @param {string|null} options.templateName - Prompt template name, kept with the cached results
+ * @param {boolean} options.forceReprocess - Call the provider for every request, replacing the cached results
+ * @returns {Promise<{text: string, sections: Array<{section: string, status: string, attempts: number, error: string|null}>}>}
+ *   Processed and formatted text, and the outcome of every section: 'processed', 'cached', 'retried' or 'raw'
  */
-export async function processHighlightsWithGemini(highlightsText, apiKey, progressCallback = null) {
-  if (!apiKey) {
-    throw new Error('Gemini API key is required');
+export async function processHighlightsWithGemini(highlightsText, llmConfig, progressCallback = null, bookMetadata = null, signal = null, options = {}) {
+  const configError = getLlmConfigError(llmConfig);
+  if (configError) {
+    throw new Error(configError);
   }
 
   if (!highlightsText || highlightsText.trim() === '') {
@@ -130,34 +143,86 @@ export async function processHighlightsWithGemini(highlightsText, apiKey, progre
     });
   }
 
-  // Process each section separately
-  const processedSections = [];
+  // Plan the requests within the token budgets of the provider
+  const processedSections = sections.filter(section => section.content);
+  const promptContext = {
+    template: options.template || findPromptTemplate(null, DEFAULT_PROMPT_TEMPLATE_ID).text,
+    bookMetadata,
+    chapter: options.chapter || (chapterHeading ? chapterHeading.replace(/^##\s+/, '') : null),
+    instructions: options.instructions || null
+  };
+  const tokensPerChar = await measureTokensPerChar(highlightsText, llmConfig, signal, options.forceReprocess);
+  const estimateTokens = text => Math.ceil(text.length * tokensPerChar);
+  const promptTokens = estimateTokens(renderPromptTemplate(promptContext.template, createPromptVariables({ ...promptContext, section: null, sectionContent: '' })));
+  // The response is about as long as the highlights it rewrites, so they must fit the output budget too
+  const chunkTokens = Math.max(MIN_CHUNK_TOKENS, Math.min(llmConfig.inputTokenBudget - promptTokens, llmConfig.outputTokenBudget));
+  const chunks = planChunks(processedSections, estimateTokens, chunkTokens);
   
-  for (let i = 0; i < sections.length; i++) {
-    const section = sections[i];
+  const processChunk = async chunk => {
+    const chunkName = describeChunk(chunk);
+    const packed = chunk.sections.length > 1;
+    const partIndex = chunk.part ? chunk.part.index : 0;
+    const onRetry = (error, attempt, delayMs) => {
+      if (options.onRetry) {
+        options.onRetry(chunkName, error, attempt, delayMs);
+      }
+    };
     
-    if (progressCallback) {
-      const sectionName = section.title || 'Introduction';
-      progressCallback(sectionName, i + 1, sections.length);
+    try {
+      const section = chunk.sections.map(packedSection => packedSection.title || 'Introduction').join(', ');
+      const { text, attempts, cacheKey, cached } = await processSingleSection(chunk.content, llmConfig, { ...promptContext, section, packed }, signal, onRetry, options.forceReprocess);
+      const texts = packed ? unpackSections(text, chunk.sections) : [text];
+      if (!texts) {
+        // The response changed the headings, so there is no telling which text belongs to which section
+        console.warn(`Headings of "${chunkName}" were not kept, processing the sections one by one`);
+        for (const packedSection of chunk.sections) {
+          await processChunk({ sections: [packedSection], part: null, content: packedSection.content });
+        }
+        return;
+      }
+      if (!cached) {
+        await cacheAiResult(cacheKey, { llmConfig, bookTitle: bookMetadata && bookMetadata.title, chapter: promptContext.chapter, section: chunkName, templateName: options.templateName }, text);
+      }
+      const status = cached ? 'cached' : attempts > 1 ? 'retried' : 'processed';
+      chunk.sections.forEach((chunkSection, index) => {
+        chunkSection.parts[partIndex] = { text: texts[index], status, attempts, error: null };
+      });
+    } catch (error) {
+      // A cancelled run doesn't fall back to the original content
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`Error processing "${chunkName}":`, error);
+      // If a request fails, use the original content and say so in the report
+      chunk.sections.forEach(chunkSection => {
+        chunkSection.parts[partIndex] = { text: chunk.part ? chunk.content : chunkSection.content, status: 'raw', attempts: error.attempts || 1, error: error.message };
+      });
     }
-    
-    if (section.content) {
-      try {
-        const processedContent = await processSingleSection(section.content, apiKey);
-        processedSections.push({
-          title: section.title,
-          content: processedContent
-        });
-      } catch (error) {
-        console.error(`Error processing section "${section.title || 'unknown'}":`, error);
-        // If a section fails, use the original content
-        processedSections.push({
-          title: section.title,
-          content: section.content
-        });
+  };
+  
+  // Send the requests in parallel, up to the provider's concurrency limit, keeping the order of the sections
+  let nextIndex = 0;
+  let completed = 0;
+  
+  const processNextChunks = async () => {
+    while (nextIndex < chunks.length) {
+      const chunk = chunks[nextIndex++];
+      signal?.throwIfAborted();
+      await processChunk(chunk);
+      
+      completed++;
+      if (progressCallback) {
+        progressCallback(describeChunk(chunk), completed, chunks.length);
       }
     }
-  }
+  };
+  
+  const workerCount = Math.min(llmConfig.concurrency || 1, chunks.length);
+  await Promise.all(Array.from({ length: workerCount }, () => processNextChunks()));
+  processedSections.forEach(section => {
+    section.outcome = combineSectionParts(section);
+    section.content = section.parts.map(part => part.text).filter(Boolean).join('\n\n');
+  });
 
   // Combine processed sections back together
   let result = '';
@@ -177,6 +242,208 @@ export async function processHighlightsWithGemini(highlightsText, apiKey, progre
     }
   }
 
-  return result.trim();
+  return { text: result.trim(), sections: processedSections.map(section => section.outcome) };
+}
+
+/**
+ * Measure how many tokens a character of the highlights takes
+ * Counts the whole text once with the provider's token counting endpoint when it has one,
+ * and falls back to the local estimate otherwise. Counts are cached with the results, so a
+ * re-run plans the same requests and finds them in the cache without calling the provider
+ * @param {string} text - Highlights text
+ * @param {Object} llmConfig - AI provider configuration from createLlmConfig (llm.js)
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @param {boolean} forceReprocess - Count again even when the count is cached
+ * @returns {Promise<number>} Tokens per character
+ */
+async function measureTokensPerChar(text, llmConfig, signal, forceReprocess = false) {
+  const cachedTokensPerChar = forceReprocess ? null : await getCachedTokensPerChar(llmConfig, text);
+  if (cachedTokensPerChar) {
+    return cachedTokensPerChar;
+  }
+  
+  try {
+    const tokens = await countTokens(text, llmConfig, signal);
+    if (tokens) {
+      await cacheTokensPerChar(llmConfig, text, tokens / text.length);
+      return tokens / text.length;
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.warn(`Could not count tokens with ${llmConfig.name}, estimating them instead:`, error.message);
+  }
+  return 1 / CHARS_PER_TOKEN;
+}
+
+/**
+ * Plan the requests for the sections of a chapter
+ * A section longer than the budget is split into parts, one request each; consecutive small sections
+ * share a request as long as they fit the budget together
+ * @param {Array<{title: string|null, content: string}>} sections - Sections with content, in order
+ * @param {Function} estimateTokens - Estimates the tokens of a text
+ * @param {number} chunkTokens - Most tokens of highlights in a request
+ * @returns {Array<{sections: Array, part: {index: number, count: number}|null, content: string}>} Requests, in order
+ */
+function planChunks(sections, estimateTokens, chunkTokens) {
+  const chunks = [];
+  let pack = null;
+  
+  for (const section of sections) {
+    const tokens = estimateTokens(section.content);
+    section.parts = [];
+    
+    if (tokens < SMALL_SECTION_TOKENS) {
+      if (pack && pack.tokens + tokens <= chunkTokens) {
+        pack.sections.push(section);
+        pack.tokens += tokens;
+      } else {
+        pack = { sections: [section], part: null, content: null, tokens };
+        chunks.push(pack);
+      }
+      continue;
+    }
+    
+    pack = null;
+    const parts = tokens > chunkTokens ? splitSection(section.content, estimateTokens, chunkTokens) : [section.content];
+    parts.forEach((content, index) => {
+      chunks.push({ sections: [section], part: parts.length > 1 ? { index, count: parts.length } : null, content });
+    });
+  }
+  
+  return chunks.map(({ sections: chunkSections, part, content }) => ({
+    sections: chunkSections,
+    part,
+    content: content !== null ? content : packSections(chunkSections)
+  }));
+}
+
+/**
+ * Split the content of a section between highlights, into parts that fit the budget
+ * A highlight is a paragraph, together with the user's notes (> blockquotes) that follow it; a single
+ * highlight longer than the budget becomes a part of its own
+ * @param {string} content - Section content
+ * @param {Function} estimateTokens - Estimates the tokens of a text
+ * @param {number} chunkTokens - Most tokens of highlights in a part
+ * @returns {string[]} Parts, in order
+ */
+function splitSection(content, estimateTokens, chunkTokens) {
+  const highlights = [];
+  content.split(/\n{2,}/).forEach(paragraph => {
+    if (paragraph.startsWith('>') && highlights.length > 0) {
+      highlights[highlights.length - 1] += `\n\n${paragraph}`;
+    } else {
+      highlights.push(paragraph);
+    }
+  });
+  
+  const parts = [];
+  let part = [];
+  let partTokens = 0;
+  for (const highlight of highlights) {
+    const tokens = estimateTokens(highlight);
+    if (part.length > 0 && partTokens + tokens > chunkTokens) {
+      parts.push(part.join('\n\n'));
+      part = [];
+      partTokens = 0;
+    }
+    part.push(highlight);
+    partTokens += tokens;
+  }
+  if (part.length > 0) {
+    parts.push(part.join('\n\n'));
+  }
+  return parts;
+}
+
+/**
+ * Join sections into the text of a single request, each under its ### heading
+ * @param {Array<{title: string|null, content: string}>} sections - Sections to pack
+ * @returns {string} Packed text; a single section is left as it is
+ */
+function packSections(sections) {
+  if (sections.length === 1) {
+    return sections[0].content;
+  }
+  return sections
+    .map(section => section.title ? `### ${section.title}\n\n${section.content}` : section.content)
+    .join('\n\n');
+}
+
+/**
+ * Split the response to a packed request back into the results of its sections
+ * @param {string} text - Response text
+ * @param {Array<{title: string|null}>} sections - Sections the request packed, in order
+ * @returns {string[]|null} Result of each section, or null when the response didn't keep the headings in order
+ */
+function unpackSections(text, sections) {
+  // Splitting at the headings gives [text before the first heading, heading, text, heading, text, ...]
+  const pieces = text.split(/^###[ \t]+(.+)$/m);
+  const headings = pieces.filter((piece, index) => index % 2 === 1);
+  const [introduction, ...texts] = pieces.filter((piece, index) => index % 2 === 0).map(piece => piece.trim());
+  const titles = sections.filter(section => section.title).map(section => section.title);
+  
+  // Models sometimes make headings bold or change their case
+  const normalizeHeading = heading => heading.replace(/[*_`]/g, '').trim().toLowerCase();
+  if (headings.length !== titles.length || headings.some((heading, index) => normalizeHeading(heading) !== normalizeHeading(titles[index]))) {
+    return null;
+  }
+  
+  // Only the first section of a chapter can come before any heading
+  if (sections[0].title) {
+    return introduction ? null : texts;
+  }
+  return [introduction, ...texts];
+}
+
+/**
+ * Name a request in progress and retry messages
+ * @param {Object} chunk - Request from planChunks
+ * @returns {string} Section name, with the part for a split section, or the packed section names
+ */
+function describeChunk(chunk) {
+  const names = chunk.sections.map(section => section.title || 'Introduction');
+  return chunk.part ? `${names[0]} (part ${chunk.part.index + 1}/${chunk.part.count})` : names.join(', ');
+}
+
+/**
+ * Combine the results of the parts of a section into its outcome
+ * @param {Object} section - Section with the result of each of its parts
+ * @returns {{section: string, status: string, attempts: number, error: string|null}} Outcome: 'raw' when
+ *   any part kept its original highlights, 'retried' when any part needed a retry, 'cached' when every part
+ *   came from the cache, 'processed' otherwise; the attempts are those of the part that took the most
+ */
+function combineSectionParts(section) {
+  const failedPart = section.parts.find(part => part.status === 'raw');
+  const retried = section.parts.some(part => part.status === 'retried');
+  const cached = section.parts.every(part => part.status === 'cached');
+  return {
+    section: section.title || 'Introduction',
+    status: failedPart ? 'raw' : retried ? 'retried' : cached ? 'cached' : 'processed',
+    attempts: Math.max(...section.parts.map(part => part.attempts)),
+    error: failedPart ? failedPart.error : null
+  };
+}
+
+// How each section outcome is described in the Step 5 preview and the run history
+export const SECTION_OUTCOME_LABELS = {
+  processed: 'processed',
+  cached: 'from cache',
+  retried: 'retried',
+  raw: 'fell back to raw'
+};
+
+/**
+ * Summarize the section outcomes of an AI processing run
+ * @param {Array<{status: string}>} sectionOutcomes - Outcomes from processHighlightsWithGemini
+ * @returns {string} Counts per outcome, e.g. "12 processed, 3 from cache, 1 fell back to raw"
+ */
+export function summarizeSectionOutcomes(sectionOutcomes) {
+  return Object.entries(SECTION_OUTCOME_LABELS)
+    .map(([status, label]) => [sectionOutcomes.filter(outcome => outcome.status === status).length, label])
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`)
+    .join(', ');
 }
 
@@ -1,8 +1,20 @@
 // Gemini Chat integration module
 
+import { forwardCancellation } from './utils.js';
+
 // Import storage functions - note: this might not work in content script context
 // For now, we'll use chrome.storage directly when needed
 
+/**
+ * Build the name a quiz conversation is renamed to
+ * @param {string} bookName - Book name
+ * @param {string} chapterName - Chapter name
+ * @returns {string} Conversation name, e.g. "📖 Book Name - Chapter Name"
+ */
+export function getGeminiConversationName(bookName, chapterName) {
+  return `📖 ${bookName} - ${chapterName}`;
+}
+
 /**
  * Send content to Gemini chat
  * @param {string} gemUrl - URL of the Gemini gem/chat
@@ -10,9 +22,10 @@
  * @param {Function} statusCallback - Callback for status updates
  * @param {string} bookName - Optional book name for renaming conversation
  * @param {string} chapterName - Optional chapter name for renaming conversation
- * @returns {Promise<boolean>} Success status
+ * @param {AbortSignal|null} signal - Optional signal that cancels the automation before the content is sent
+ * @returns {Promise<string|false>} URL of the conversation, or false if the content could not be sent
  */
-export async function sendToGeminiChat(gemUrl, content, statusCallback, bookName = null, chapterName = null) {
+export async function sendToGeminiChat(gemUrl, content, statusCallback, bookName = null, chapterName = null, signal = null) {
   if (!gemUrl) {
     statusCallback('Please provide a Gemini gem URL in the Config tab', 'error');
     return false;
@@ -48,6 +61,9 @@ export async function sendToGeminiChat(gemUrl, content, statusCallback, bookName
     // Wait for the page to load
     statusCallback('Creating Gemini quiz...', 'info');
     await waitForTabReady(tab.id);
+    signal?.throwIfAborted();
+    
+    const stopForwarding = forwardCancellation(tab.id, signal);
     
     // Send message to content script to automate the chat interaction
     return new Promise((resolve) => {
@@ -57,13 +73,17 @@ export async function sendToGeminiChat(gemUrl, content, statusCallback, bookName
         bookName: bookName,
         chapterName: chapterName
       }, function(response) {
+        stopForwarding();
         if (chrome.runtime.lastError) {
           statusCallback('Please refresh the Gemini page and try again', 'error');
           resolve(false);
         } else if (response && response.success) {
           const message = response.message || 'Successfully sent content to Gemini chat!';
           statusCallback(message, 'success');
-          resolve(true);
+          // Once the message is sent, the tab shows the URL of the new conversation
+          chrome.tabs.get(tab.id, (sentTab) => {
+            resolve((!chrome.runtime.lastError && sentTab && sentTab.url) || gemUrl);
+          });
         } else {
           statusCallback(response?.error || 'Failed to send content to Gemini', 'error');
           resolve(false);
@@ -590,11 +610,13 @@ async function selectGeminiModel(waitForElement) {
  * @param {string} content - Content to send
  * @param {string} bookName - Optional book name for renaming conversation
  * @param {string} chapterName - Optional chapter name for renaming conversation
+ * @param {AbortSignal|null} signal - Optional signal that cancels the automation before the content is sent
  * @returns {Promise<{success: boolean, error?: string, message?: string}>}
  */
-export async function handleSendToGeminiChat(content, bookName = null, chapterName = null) {
+export async function handleSendToGeminiChat(content, bookName = null, chapterName = null, signal = null) {
   try {
     console.log('Starting Gemini chat automation...');
+    signal?.throwIfAborted();
     
     // Import waitForElement from utils if available, or use a simple version
     let waitForElement;
@@ -777,6 +799,9 @@ export async function handleSendToGeminiChat(content, bookName = null, chapterNa
     }
     
     // Step 3: Find and click the Send button
+    // Once the content is sent, the conversation is renamed even if the run is cancelled
+    signal?.throwIfAborted();
+    
     // Based on the recording: aria/Send message or div.trailing-actions-wrapper div.mat-mdc-tooltip-trigger mat-icon
     let sendButton = await waitForElement('div.trailing-actions-wrapper div.mat-mdc-tooltip-trigger mat-icon', 5000, 100);
     
@@ -824,7 +849,7 @@ export async function handleSendToGeminiChat(content, bookName = null, chapterNa
     // Step 4: Rename the conversation if bookName and chapterName are provided
     if (bookName && chapterName) {
       try {
-        const conversationName = `📖 ${bookName} - ${chapterName}`;
+        const conversationName = getGeminiConversationName(bookName, chapterName);
         console.log('Renaming conversation after sending...');
         const renameResult = await renameGeminiConversation(conversationName);
         if (renameResult.success) {
@@ -0,0 +1,145 @@
+// Run history module
+// Keeps a log of every run in the library: the book, the chapters, the steps with their timing
+// and errors, and what the steps created (Notion pages, Gemini conversations, NotebookLM sources
+// and flashcard decks), so it shows what was already done for a book without opening every site
+
+import { saveRun, listRuns } from './library.js';
+import { getPipelineStep } from './pipeline.js';
+
+/**
+ * Create the run history record of a finished pipeline job
+ * @param {Object} job - Pipeline job (see pipeline_job.js)
+ * @param {Object|null} book - Library book, or null if it was removed
+ * @returns {Object} Run record
+ */
+export function createRunRecord(job, book) {
+  return {
+    id: job.id,
+    bookId: job.bookId,
+    bookTitle: book ? book.title : null,
+    bookAuthors: book ? book.authors : null,
+    chapters: job.chapters,
+    options: {
+      syncNewOnly: job.options.syncNewOnly,
+      cleanupHighlights: job.options.cleanupHighlights,
+      citationStyle: job.options.citationStyle,
+      notebookName: job.options.notebookName,
+      promptTemplateId: job.options.promptTemplateId,
+      forceReprocess: Boolean(job.options.forceReprocess)
+    },
+    status: job.status,
+    message: job.message.text,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    chapterRuns: job.chapterStates.map(state => ({
+      chapter: state.chapter,
+      status: state.status,
+      label: state.label,
+      steps: (state.steps || []).map(stepState => ({
+        id: stepState.id,
+        name: getPipelineStep(stepState.id) ? getPipelineStep(stepState.id).name : stepState.id,
+        status: stepState.status,
+        attempts: stepState.attempts,
+        error: stepState.error,
+        startedAt: stepState.startedAt,
+        finishedAt: stepState.finishedAt,
+        durationMs: stepState.startedAt && stepState.finishedAt
+          ? new Date(stepState.finishedAt) - new Date(stepState.startedAt)
+          : null,
+        artifacts: stepState.artifacts,
+        report: stepState.report || null
+      }))
+    }))
+  };
+}
+
+/**
+ * Add a finished pipeline job to the run history
+ * @param {Object} job - Pipeline job
+ * @param {Object|null} book - Library book, or null if it was removed
+ * @returns {Promise<void>}
+ */
+export async function recordRun(job, book) {
+  await saveRun(createRunRecord(job, book));
+}
+
+/**
+ * Load the run history, most recent run first
+ * @returns {Promise<Object[]>} Run records
+ */
+export function loadRunHistory() {
+  return listRuns();
+}
+
+/**
+ * Describe what a step created, for display
+ * @param {Object|null} artifacts - Step artifacts
+ * @returns {Array<{label: string, text: string, url: string|null}>} Artifact descriptions
+ */
+export function describeArtifacts(artifacts) {
+  if (!artifacts) {
+    return [];
+  }
+  
+  const descriptions = [];
+  if (artifacts.notionPageUrl) {
+    descriptions.push({ label: 'Notion page', text: artifacts.notionPageTitle || artifacts.notionPageUrl, url: artifacts.notionPageUrl });
+  }
+  if (artifacts.geminiConversationUrl) {
+    descriptions.push({ label: 'Gemini quiz', text: artifacts.geminiConversationName || artifacts.geminiConversationUrl, url: artifacts.geminiConversationUrl });
+  }
+  if (artifacts.notebooklmSource) {
+    descriptions.push({ label: 'NotebookLM source', text: `${artifacts.notebooklmSource} in "${artifacts.notebooklmNotebook}"`, url: null });
+  }
+  if (artifacts.flashcardDeck) {
+    descriptions.push({ label: 'Flashcards', text: `${artifacts.flashcardDeck} (from ${artifacts.flashcardSource}) in "${artifacts.notebooklmNotebook}"`, url: null });
+  }
+  return descriptions;
+}
+
+/**
+ * Filter the run history
+ * @param {Object[]} runs - Run records
+ * @param {Object} filters - Filters; empty values match every run
+ * @param {string} filters.bookId - Library book ID
+ * @param {string} filters.status - 'completed' or 'failed'
+ * @param {string} filters.text - Text to find in the book title, chapters, artifacts and errors
+ * @returns {Object[]} Matching run records
+ */
+export function filterRuns(runs, { bookId = '', status = '', text = '' }) {
+  const query = text.trim().toLowerCase();
+  return runs.filter(run => {
+    if (bookId && run.bookId !== bookId) {
+      return false;
+    }
+    if (status && run.status !== status) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+    
+    const searchable = [
+      run.bookTitle,
+      run.message,
+      ...run.chapterRuns.flatMap(chapterRun => [
+        chapterRun.chapter,
+        chapterRun.label,
+        ...chapterRun.steps.flatMap(step => [
+          step.error,
+          ...describeArtifacts(step.artifacts).map(artifact => artifact.text)
+        ])
+      ])
+    ];
+    return searchable.some(value => value && value.toLowerCase().includes(query));
+  });
+}
+
+/**
+ * Export run records as JSON
+ * @param {Object[]} runs - Run records
+ * @returns {string} JSON document with the export date and the runs
+ */
+export function exportRunsAsJson(runs) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), runs }, null, 2);
+}
@@ -1,14 +1,24 @@
 // Kindle highlights processing module
 
+const KINDLE_NOTEBOOK_URL = 'https://read.amazon.com/notebook';
+
 /**
- * Extract chapter names from Kindle HTML content
+ * Parse the HTML of a Kindle export
+ * The helpers below read the parsed document, so an export is parsed once however many of them run
  * @param {string} htmlContent - The HTML content from Kindle export
- * @returns {string[]} Array of chapter names
+ * @returns {Document} Parsed document
  */
-export function extractChapters(htmlContent) {
+export function parseKindleHtml(htmlContent) {
   const parser = new DOMParser();
-  const doc = parser.parseFromString(htmlContent, 'text/html');
-  
+  return parser.parseFromString(htmlContent, 'text/html');
+}
+
+/**
+ * Extract chapter names from a Kindle export
+ * @param {Document} doc - Export parsed with parseKindleHtml
+ * @returns {string[]} Array of chapter names
+ */
+export function extractChapters(doc) {
   const bodyContainer = doc.querySelector('.bodyContainer');
   if (!bodyContainer) {
     return [];
@@ -31,51 +41,101 @@ export function extractChapters(htmlContent) {
 }
 
 /**
- * Extract book title from Kindle HTML content
- * @param {string} htmlContent - The HTML content from Kindle export
+ * Extract book title from a Kindle export
+ * @param {Document} doc - Export parsed with parseKindleHtml
  * @returns {string|null} Book title or null if not found
  */
-export function extractBookTitle(htmlContent) {
-  if (!htmlContent) {
-    return null;
-  }
+export function extractBookTitle(doc) {
+  const bookTitleElement = doc.querySelector('.bookTitle');
+  return bookTitleElement ? bookTitleElement.textContent.trim() : null;
+}
+
+/**
+ * Parse a Kindle ".noteHeading" element into its metadata
+ * Headings look like "Highlight(yellow) - Subsection > Location 293",
+ * "Highlight(blue) - Page 12 · Location 140" or "Note - Subsection > Location 293"
+ * @param {Element} headingElement - The noteHeading element
+ * @returns {{kind: string, color: string|null, subsection: string, location: number|null, page: string|null}}
+ */
+function parseNoteHeading(headingElement) {
+  const headingText = headingElement.textContent.replace(/\s+/g, ' ').trim();
   
-  try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlContent, 'text/html');
-    const bookTitleElement = doc.querySelector('.bookTitle');
-    
-    if (bookTitleElement) {
-      return bookTitleElement.textContent.trim();
-    }
-  } catch (error) {
-    console.error('Error extracting book title:', error);
+  // Entry type is the first word of the heading ("Highlight", "Note", "Bookmark")
+  const kindMatch = headingText.match(/^(Highlight|Note|Bookmark)/i);
+  const kind = kindMatch ? kindMatch[1].toLowerCase() : 'highlight';
+  
+  // Color comes from the highlight_<color> span, with the text in parentheses as fallback
+  let color = null;
+  const colorSpan = headingElement.querySelector('[class^="highlight_"]');
+  if (colorSpan) {
+    color = colorSpan.className.replace(/^highlight_/, '').trim().toLowerCase();
+  } else {
+    const colorMatch = headingText.match(/^Highlight\s*\(([^)]+)\)/i);
+    color = colorMatch ? colorMatch[1].trim().toLowerCase() : null;
   }
   
-  return null;
+  // Everything after the first " - " is "Subsection > Locator" or just "Locator"
+  const dashIndex = headingText.indexOf(' - ');
+  const rest = dashIndex >= 0 ? headingText.substring(dashIndex + 3) : '';
+  const separatorIndex = rest.lastIndexOf(' > ');
+  const subsection = separatorIndex >= 0 ? rest.substring(0, separatorIndex).trim() : '';
+  const locator = separatorIndex >= 0 ? rest.substring(separatorIndex + 3) : rest;
+  
+  const locationMatch = locator.match(/Location\s+(\d+)/i);
+  const pageMatch = locator.match(/Page\s+([\w-]+)/i);
+  
+  return {
+    kind,
+    color,
+    subsection,
+    location: locationMatch ? parseInt(locationMatch[1], 10) : null,
+    page: pageMatch ? pageMatch[1] : null
+  };
 }
 
 /**
- * Parse Kindle highlights from HTML content for a specific chapter
- * @param {string} htmlContent - The HTML content from Kindle export
+ * Check whether two entries point at the same spot in the book
+ * @param {{location: number|null, page: string|null}} a - First entry
+ * @param {{location: number|null, page: string|null}} b - Second entry
+ * @returns {boolean} True if locations (or pages, when there is no location) match
+ */
+function isSameLocation(a, b) {
+  if (a.location !== null && b.location !== null) {
+    return a.location === b.location;
+  }
+  return a.page !== null && a.page === b.page;
+}
+
+/**
+ * Format note text as a Markdown blockquote
+ * @param {string} text - Note text
+ * @returns {string} Blockquote lines
+ */
+function toBlockquote(text) {
+  return text.split('\n').map(line => `> ${line.trim()}`).join('\n');
+}
+
+/**
+ * Parse Kindle highlights from HTML content into structured records
+ * Notes that annotate the preceding highlight are attached to it as `note`;
+ * notes without a matching highlight are kept as records of kind "note"
+ * @param {Document} doc - Export parsed with parseKindleHtml
  * @param {string|null} selectedChapter - The chapter to process, or null for all chapters
- * @returns {string} Processed markdown content
+ * @returns {Array<{book: string|null, authors: string|null, chapter: string, subsection: string, color: string|null, location: number|null, page: string|null, kind: string, text: string, note: string|null}>} Highlight records in document order
  */
-export function parseKindleHighlights(htmlContent, selectedChapter = null) {
-  // Create a temporary DOM parser
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(htmlContent, 'text/html');
-  
-  let processedContent = '';
-  let currentSubsection = '';
-  let isInSelectedChapter = false;
-  
-  // Get the body container and process all child elements in order
+export function parseHighlightRecords(doc, selectedChapter = null) {
   const bodyContainer = doc.querySelector('.bodyContainer');
   if (!bodyContainer) {
-    return 'Error: Could not find body container in HTML';
+    return [];
   }
   
+  const book = extractBookTitle(doc) || null;
+  const authors = extractBookAuthors(doc);
+  
+  const records = [];
+  let currentChapter = '';
+  let isInSelectedChapter = !selectedChapter;
+  
   // Process all child elements in the order they appear
   const children = bodyContainer.children;
   
@@ -83,45 +143,33 @@ export function parseKindleHighlights(htmlContent, selectedChapter = null) {
     const element = children[i];
     
     if (element.classList.contains('sectionHeading')) {
-      // Process section heading
-      const sectionTitle = element.textContent.trim();
-      
-      // If a chapter is selected, only process highlights from that chapter
-      if (selectedChapter) {
-        isInSelectedChapter = (sectionTitle === selectedChapter);
-        // Add the chapter heading only if it's the selected one
-        if (isInSelectedChapter && sectionTitle) {
-          processedContent += `\n## ${sectionTitle}\n\n`;
-        }
-      } else {
-        // If no chapter selected, process all (backward compatibility)
-        if (sectionTitle) {
-          processedContent += `\n## ${sectionTitle}\n\n`;
-        }
-        isInSelectedChapter = true; // Process all if no selection
-      }
+      currentChapter = element.textContent.trim();
+      // If a chapter is selected, only keep highlights from that chapter
+      isInSelectedChapter = !selectedChapter || currentChapter === selectedChapter;
     } else if (element.classList.contains('noteHeading') && isInSelectedChapter) {
-      // Process highlight - get the corresponding noteText
-      // Only process if we're in the selected chapter
       const noteText = children[i + 1];
       
       if (noteText && noteText.classList.contains('noteText')) {
-        const headingText = element.textContent.trim();
-        const highlightText = noteText.textContent.trim();
+        const text = noteText.textContent.trim();
         
-        if (highlightText) {
-          // Extract the subsection from the note heading
-          const subsectionMatch = headingText.match(/Highlight\([^)]+\) - (.+?) >/);
-          const subsection = subsectionMatch ? subsectionMatch[1].trim() : '';
+        if (text) {
+          const heading = parseNoteHeading(element);
+          const previous = records[records.length - 1];
           
-          // Add subsection as heading if it's different from current one
-          if (subsection && subsection !== currentSubsection) {
-            processedContent += `### ${subsection}\n`;
-            currentSubsection = subsection;
+          // Kindle places a typed note right after the highlight it annotates, at the same location
+          if (heading.kind === 'note' && previous && previous.kind === 'highlight' && !previous.note &&
+              previous.chapter === currentChapter && isSameLocation(previous, heading)) {
+            previous.note = text;
+          } else {
+            records.push({
+              book,
+              authors,
+              chapter: currentChapter,
+              ...heading,
+              text,
+              note: null
+            });
           }
-          
-          // Add only the highlight text
-          processedContent += `${highlightText}\n\n`;
         }
         
         // Skip the next element since we've already processed it
@@ -130,7 +178,141 @@ export function parseKindleHighlights(htmlContent, selectedChapter = null) {
     }
   }
   
-  return processedContent.trim();
+  return records;
+}
+
+/**
+ * Filter highlight records by highlight color
+ * Notes and highlights with an unknown color are always kept
+ * @param {Array} records - Highlight records from parseHighlightRecords
+ * @param {Object<string, boolean>} colorFilters - Map of color to include flag (missing colors are included)
+ * @returns {Array} Records whose color is not excluded
+ */
+export function filterHighlightsByColor(records, colorFilters = {}) {
+  return records.filter(record => !record.color || colorFilters[record.color] !== false);
+}
+
+/**
+ * Attach the semantic label configured for each highlight color
+ * @param {Array} records - Highlight records from parseHighlightRecords
+ * @param {Object<string, string>} colorLabels - Map of color to label (e.g. { blue: 'Definition' })
+ * @returns {Array} Copies of the records with a `label` field (null when the color has no label)
+ */
+export function applyColorLabels(records, colorLabels = {}) {
+  return records.map(record => ({
+    ...record,
+    label: (record.kind === 'highlight' && record.color && colorLabels[record.color]) || null
+  }));
+}
+
+/**
+ * Build a link back to the location of a highlight in the book
+ * Opens the Kindle app at the location when the book's ASIN is known. Otherwise no link can
+ * point at the location, so it links to the Kindle Cloud Reader notebook and says so in its text
+ * (HTML exports have no ASIN, so their links are always of this kind)
+ * @param {string|null} asin - Book ASIN
+ * @param {{location: number|null}} record - Highlight record
+ * @returns {{text: string, url: string}|null} Link, or null when the highlight has no location
+ */
+export function getHighlightLink(asin, record) {
+  if (record.location === null || record.location === undefined) {
+    return null;
+  }
+  
+  if (!asin) {
+    return { text: `Location ${record.location} (Kindle notebook)`, url: KINDLE_NOTEBOOK_URL };
+  }
+  return { text: `Location ${record.location}`, url: `kindle://book?action=open&asin=${encodeURIComponent(asin)}&location=${record.location}` };
+}
+
+/**
+ * Render highlight records as Markdown
+ * Chapters become ## headings, subsections become ### headings and notes become > blockquotes
+ * Highlights with a color label are prefixed with it in bold (e.g. "**Definition:** ...")
+ * Highlights flagged as truncated by the cleanup stage get an ellipsis on the cut-off side,
+ * and highlights with a citation (see citation.js), a link (see getHighlightLink) or tags from
+ * the Review tab (rendered as #hashtags) are followed by them
+ * @param {Array} records - Highlight records from parseHighlightRecords
+ * @returns {string} Markdown content
+ */
+export function renderHighlightsMarkdown(records) {
+  let markdown = '';
+  let currentChapter = null;
+  let currentSubsection = '';
+  
+  for (const record of records) {
+    // Add chapter heading when the chapter changes
+    if (record.chapter !== currentChapter) {
+      if (record.chapter) {
+        markdown += `\n## ${record.chapter}\n\n`;
+      }
+      currentChapter = record.chapter;
+      currentSubsection = '';
+    }
+    
+    // Add subsection as heading if it's different from current one
+    if (record.subsection && record.subsection !== currentSubsection) {
+      markdown += `### ${record.subsection}\n`;
+      currentSubsection = record.subsection;
+    }
+    
+    // The user's notes are rendered as blockquotes so they don't blend into the author's text
+    if (record.kind === 'note') {
+      markdown += `${toBlockquote(record.text)}\n\n`;
+    } else {
+      const labelPrefix = record.label ? `**${record.label}:** ` : '';
+      const text = `${record.truncatedStart ? '…' : ''}${record.text}${record.truncatedEnd ? '…' : ''}`;
+      const citationSuffix = record.citation ? ` ${record.citation}` : '';
+      const linkSuffix = record.link ? ` [${record.link.text}](${record.link.url})` : '';
+      const tagsSuffix = record.tags && record.tags.length > 0
+        ? ` ${record.tags.map(tag => `#${tag.replace(/\s+/g, '-')}`).join(' ')}`
+        : '';
+      markdown += `${labelPrefix}${text}${citationSuffix}${linkSuffix}${tagsSuffix}\n\n`;
+      if (record.note) {
+        markdown += `${toBlockquote(record.note)}\n\n`;
+      }
+    }
+  }
+  
+  return markdown.trim();
+}
+
+/**
+ * Parse a Kindle HTML notebook export into a book
+ * This is the shape every import format produces and the rest of the pipeline consumes
+ * @param {string} htmlContent - The HTML content from Kindle export
+ * @returns {{title: string|null, authors: string|null, citation: string|null, chapters: string[], records: Array}} Parsed book
+ */
+export function parseKindleBook(htmlContent) {
+  const doc = parseKindleHtml(htmlContent);
+  return {
+    title: extractBookTitle(doc),
+    authors: extractBookAuthors(doc),
+    citation: extractBookCitation(doc),
+    chapters: extractChapters(doc),
+    records: parseHighlightRecords(doc)
+  };
+}
+
+/**
+ * Extract book authors from a Kindle export
+ * @param {Document} doc - Export parsed with parseKindleHtml
+ * @returns {string|null} Authors or null if not found
+ */
+export function extractBookAuthors(doc) {
+  const authorsElement = doc.querySelector('.authors');
+  return authorsElement ? authorsElement.textContent.trim() || null : null;
+}
+
+/**
+ * Extract the citation block from a Kindle export
+ * The Kindle app fills it in the citation style picked when exporting, and leaves it empty otherwise
+ * @param {Document} doc - Export parsed with parseKindleHtml
+ * @returns {string|null} Citation text or null if empty
+ */
+export function extractBookCitation(doc) {
+  const citationElement = doc.querySelector('.citation');
+  return citationElement ? citationElement.textContent.replace(/\s+/g, ' ').trim() || null : null;
 }
 
 /**
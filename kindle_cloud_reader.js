@@ -0,0 +1,165 @@
+// Kindle Cloud Reader integration module
+// Collects the highlights of the book open on read.amazon.com/notebook
+
+import { waitForTabReady } from './notebooklm_notebooks.js';
+import { waitForElement } from './notebooklm_utils.js';
+
+export const KINDLE_NOTEBOOK_URL = 'https://read.amazon.com/notebook';
+
+/**
+ * Import the highlights of the book currently open in the Kindle Cloud Reader notebook
+ * Reuses an open notebook tab, or opens one (which shows the most recently read book)
+ * @param {Function} statusCallback - Callback for status updates
+ * @returns {Promise<{title: string, authors: string|null, asin: string|null, clippings: Array}|null>} Scraped book, or null on failure
+ */
+export async function importFromKindleCloudReader(statusCallback) {
+  try {
+    statusCallback('Opening Kindle Cloud Reader notebook...', 'info');
+    
+    let [tab] = await chrome.tabs.query({ url: `${KINDLE_NOTEBOOK_URL}*` });
+    if (tab) {
+      await chrome.tabs.update(tab.id, { active: true });
+    } else {
+      tab = await chrome.tabs.create({ url: KINDLE_NOTEBOOK_URL });
+      statusCallback('Waiting for Kindle Cloud Reader to load...', 'info');
+      await waitForTabReady(tab.id);
+    }
+    
+    statusCallback('Collecting highlights from Kindle Cloud Reader...', 'info');
+    
+    return await new Promise((resolve) => {
+      chrome.tabs.sendMessage(tab.id, { action: 'scrapeKindleNotebook' }, function(response) {
+        if (chrome.runtime.lastError) {
+          statusCallback('Please refresh the Kindle Cloud Reader page and try again', 'error');
+          resolve(null);
+        } else if (response && response.success) {
+          resolve(response.book);
+        } else {
+          statusCallback(response?.error || 'Failed to collect highlights from Kindle Cloud Reader', 'error');
+          resolve(null);
+        }
+      });
+    });
+  
+  } catch (error) {
+    console.error('Error importing from Kindle Cloud Reader:', error);
+    statusCallback(`Error: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Parse an annotation header such as "Yellow highlight | Location: 293" or "Blue highlight | Page: 12"
+ * @param {string} headerText - Header text
+ * @returns {{color: string|null, location: number|null, page: string|null}}
+ */
+function parseAnnotationHeader(headerText) {
+  const colorMatch = headerText.match(/^\s*(\w+)\s+highlight/i);
+  const locationMatch = headerText.match(/Location:?\s*([\d,]+)/i);
+  const pageMatch = headerText.match(/Page:?\s*([\w-]+)/i);
+  
+  return {
+    color: colorMatch ? colorMatch[1].toLowerCase() : null,
+    location: locationMatch ? parseInt(locationMatch[1].replace(/,/g, ''), 10) : null,
+    page: pageMatch ? pageMatch[1] : null
+  };
+}
+
+/**
+ * Scroll the annotations list until every page of annotations has loaded
+ * The notebook loads annotations in pages as the list is scrolled
+ * @returns {Promise<void>}
+ */
+async function loadAllAnnotations() {
+  const maxAttempts = 50;
+  
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const nextPageToken = document.querySelector('.kp-notebook-annotations-next-page-start');
+    if (!nextPageToken || !nextPageToken.value) {
+      return;
+    }
+    
+    const annotations = document.querySelectorAll('#kp-notebook-annotations > .a-row');
+    const lastAnnotation = annotations[annotations.length - 1];
+    if (lastAnnotation) {
+      lastAnnotation.scrollIntoView({ block: 'end' });
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  
+  console.warn('Stopped waiting for more annotations to load');
+}
+
+/**
+ * Scrape the highlights of the book open on the Kindle Cloud Reader notebook page (for use in content scripts)
+ * Entries use the My Clippings.txt shape so they can be grouped into chapters the same way
+ * @returns {Promise<{title: string, authors: string|null, asin: string|null, clippings: Array}>} Scraped book
+ */
+export async function scrapeKindleNotebook() {
+  console.log('Scraping Kindle Cloud Reader notebook...');
+  
+  // Wait for the annotations of the open book to load
+  const annotationsContainer = await waitForElement('#kp-notebook-annotations', 10000, 200);
+  if (!annotationsContainer) {
+    throw new Error('Could not find the highlights list. Open a book in the Kindle notebook first.');
+  }
+  
+  await loadAllAnnotations();
+  
+  const titleElement = document.querySelector('#annotation-section h3.kp-notebook-metadata, h3.kp-notebook-metadata');
+  const authorsElement = document.querySelector('#annotation-section p.kp-notebook-metadata, p.kp-notebook-metadata');
+  const asinInput = document.querySelector('#kp-notebook-annotations-asin');
+  
+  const title = titleElement ? titleElement.textContent.trim() : '';
+  if (!title) {
+    throw new Error('Could not find the book title on the notebook page');
+  }
+  const authors = authorsElement ? authorsElement.textContent.replace(/^\s*By:\s*/i, '').trim() || null : null;
+  
+  const clippings = [];
+  const annotationRows = annotationsContainer.querySelectorAll(':scope > .a-row');
+  
+  for (const row of annotationRows) {
+    const highlightHeader = row.querySelector('#annotationHighlightHeader');
+    const noteHeader = row.querySelector('#annotationNoteHeader');
+    const highlightElement = row.querySelector('#highlight');
+    const noteElement = row.querySelector('#note');
+    const locationInput = row.querySelector('#kp-annotation-location');
+    
+    const highlightText = highlightElement ? highlightElement.textContent.trim() : '';
+    const noteText = noteElement ? noteElement.textContent.trim() : '';
+    if (!highlightText && !noteText) {
+      continue;
+    }
+    
+    const header = parseAnnotationHeader((highlightHeader || noteHeader || row).textContent || '');
+    if (header.location === null && locationInput && locationInput.value) {
+      header.location = parseInt(locationInput.value, 10) || null;
+    }
+    
+    // The highlight color is also exposed as a class on the highlight box
+    const colorElement = row.querySelector('[class*="kp-notebook-highlight-"]');
+    const colorClassMatch = colorElement ? colorElement.className.match(/kp-notebook-highlight-(\w+)/) : null;
+    const color = colorClassMatch ? colorClassMatch[1].toLowerCase() : header.color;
+    
+    clippings.push({
+      kind: highlightText ? 'highlight' : 'note',
+      color: highlightText ? color : null,
+      page: header.page,
+      location: header.location,
+      locationEnd: header.location,
+      text: highlightText || noteText,
+      note: highlightText && noteText ? noteText : null
+    });
+  }
+  
+  console.log(`Scraped ${clippings.length} annotation(s) from "${title}"`);
+  
+  return {
+    title,
+    authors,
+    asin: asinInput && asinInput.value ? asinInput.value : null,
+    clippings
+  };
+}
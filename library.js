@@ -0,0 +1,316 @@
+// Highlight library module
+// Stores parsed books (chapters and highlight records) in IndexedDB, which keeps
+// large exports and many books that don't fit in chrome.storage.local, along with
+// the record of which highlights were delivered to each destination (see sync.js)
+// the per-highlight review choices (see review.js), the run history (see history.js),
+// the per-book profiles (see profiles.js) and the cached AI results (see ai_cache.js)
+
+const LIBRARY_DB_NAME = 'kindleHighlightsLibrary';
+const LIBRARY_DB_VERSION = 6;
+const BOOKS_STORE = 'books';
+const DELIVERIES_STORE = 'deliveries';
+const REVIEWS_STORE = 'reviews';
+const RUNS_STORE = 'runs';
+const PROFILES_STORE = 'profiles';
+const AI_CACHE_STORE = 'aiCache';
+
+let dbPromise = null;
+
+/**
+ * Open the library database, creating its object stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLibraryDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BOOKS_STORE)) {
+          const store = db.createObjectStore(BOOKS_STORE, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+        if (!db.objectStoreNames.contains(DELIVERIES_STORE)) {
+          db.createObjectStore(DELIVERIES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(REVIEWS_STORE)) {
+          const store = db.createObjectStore(REVIEWS_STORE, { keyPath: 'id' });
+          store.createIndex('bookId', 'bookId');
+        }
+        if (!db.objectStoreNames.contains(RUNS_STORE)) {
+          const store = db.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+          store.createIndex('startedAt', 'startedAt');
+        }
+        if (!db.objectStoreNames.contains(PROFILES_STORE)) {
+          db.createObjectStore(PROFILES_STORE, { keyPath: 'bookId' });
+        }
+        if (!db.objectStoreNames.contains(AI_CACHE_STORE)) {
+          db.createObjectStore(AI_CACHE_STORE, { keyPath: 'key' });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null; // Reset so we can retry
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against an object store and resolve with its result
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} createRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function runStoreRequest(storeName, mode, createRequest) {
+  const db = await openLibraryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+  });
+}
+
+/**
+ * Build the library ID of a book
+ * The ASIN is used when known; otherwise title and authors identify the book
+ * @param {{title: string|null, authors: string|null, asin?: string|null}} book - Parsed book
+ * @returns {string} Book ID
+ */
+export function getBookId(book) {
+  if (book.asin) {
+    return `asin:${book.asin}`;
+  }
+  return `book:${(book.title || '').trim().toLowerCase()}|${(book.authors || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Create a library entry from a parsed book
+ * @param {{title: string|null, authors: string|null, citation?: string|null, asin?: string|null, chapters: string[], records: Array}} book - Parsed book
+ * @param {Object} details - Where the book came from
+ * @param {string} details.source - 'kindleHtml', 'clippings' or 'cloudReader'
+ * @param {string} details.fileName - Name of the imported file (or a description of the import)
+ * @param {Object|null} details.clippingsBook - Ungrouped clippings, kept so chapters can be regrouped
+ * @param {Object|null} details.grouping - Chapter grouping options used for clippings
+ * @returns {Object} Library entry
+ */
+export function createLibraryBook(book, { source, fileName, clippingsBook = null, grouping = null }) {
+  const now = new Date().toISOString();
+  return {
+    id: getBookId(book),
+    title: book.title,
+    authors: book.authors || null,
+    citation: book.citation || null,
+    asin: book.asin || null,
+    chapters: book.chapters,
+    records: book.records,
+    source,
+    fileName,
+    clippingsBook,
+    grouping,
+    importedAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Save a book to the library, replacing an earlier import of the same book
+ * @param {Object} libraryBook - Library entry from createLibraryBook
+ * @returns {Promise<Object>} Saved entry
+ */
+export async function saveBook(libraryBook) {
+  const existing = await getBook(libraryBook.id);
+  const entry = {
+    ...libraryBook,
+    importedAt: existing ? existing.importedAt : libraryBook.importedAt,
+    updatedAt: new Date().toISOString()
+  };
+  await runStoreRequest(BOOKS_STORE, 'readwrite', store => store.put(entry));
+  return entry;
+}
+
+/**
+ * Get a book from the library
+ * @param {string} bookId - Book ID
+ * @returns {Promise<Object|null>} Library entry or null if not found
+ */
+export async function getBook(bookId) {
+  if (!bookId) {
+    return null;
+  }
+  const entry = await runStoreRequest(BOOKS_STORE, 'readonly', store => store.get(bookId));
+  return entry || null;
+}
+
+/**
+ * List all books in the library, most recently updated first
+ * @returns {Promise<Object[]>} Library entries
+ */
+export async function listBooks() {
+  const entries = await runStoreRequest(BOOKS_STORE, 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Delete a book from the library
+ * @param {string} bookId - Book ID
+ * @returns {Promise<void>}
+ */
+export async function deleteBook(bookId) {
+  await runStoreRequest(BOOKS_STORE, 'readwrite', store => store.delete(bookId));
+}
+
+/**
+ * Get the delivery record of a chapter for one destination
+ * @param {string} deliveryId - Delivery ID (see getDeliveryId in sync.js)
+ * @returns {Promise<Object|null>} Delivery record or null if nothing was delivered yet
+ */
+export async function getDelivery(deliveryId) {
+  const entry = await runStoreRequest(DELIVERIES_STORE, 'readonly', store => store.get(deliveryId));
+  return entry || null;
+}
+
+/**
+ * Save the delivery record of a chapter for one destination
+ * Delivery records are kept when a book is deleted, because the delivered
+ * pages, sources and flashcards still exist
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<void>}
+ */
+export async function saveDelivery(delivery) {
+  await runStoreRequest(DELIVERIES_STORE, 'readwrite', store => store.put(delivery));
+}
+
+/**
+ * Get the review choices saved for the highlights of a book
+ * @param {string} bookId - Book ID
+ * @returns {Promise<Object[]>} Review records
+ */
+export async function getReviews(bookId) {
+  const entries = await runStoreRequest(REVIEWS_STORE, 'readonly', store => store.index('bookId').getAll(bookId));
+  return entries || [];
+}
+
+/**
+ * Save the review choices of a highlight
+ * Like delivery records, reviews are kept when a book is deleted, so they apply again if it is re-imported
+ * @param {Object} review - Review record
+ * @returns {Promise<void>}
+ */
+export async function saveReview(review) {
+  await runStoreRequest(REVIEWS_STORE, 'readwrite', store => store.put(review));
+}
+
+/**
+ * Delete the review choices of a highlight
+ * @param {string} reviewId - Review ID (the highlight fingerprint)
+ * @returns {Promise<void>}
+ */
+export async function deleteReview(reviewId) {
+  await runStoreRequest(REVIEWS_STORE, 'readwrite', store => store.delete(reviewId));
+}
+
+/**
+ * Save a run to the run history, replacing an earlier record of the same run
+ * Like delivery records, runs are kept when a book is deleted, because what they created still exists
+ * @param {Object} run - Run record (see createRunRecord in history.js)
+ * @returns {Promise<void>}
+ */
+export async function saveRun(run) {
+  await runStoreRequest(RUNS_STORE, 'readwrite', store => store.put(run));
+}
+
+/**
+ * Get a run from the run history
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Run record or null if not found
+ */
+export async function getRun(runId) {
+  const entry = await runStoreRequest(RUNS_STORE, 'readonly', store => store.get(runId));
+  return entry || null;
+}
+
+/**
+ * List the run history, most recent run first
+ * @returns {Promise<Object[]>} Run records
+ */
+export async function listRuns() {
+  const entries = await runStoreRequest(RUNS_STORE, 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+/**
+ * Get the profile of a book
+ * @param {string} bookId - Book ID
+ * @returns {Promise<Object|null>} Profile or null if the book has none
+ */
+export async function getProfile(bookId) {
+  if (!bookId) {
+    return null;
+  }
+  const entry = await runStoreRequest(PROFILES_STORE, 'readonly', store => store.get(bookId));
+  return entry || null;
+}
+
+/**
+ * Save the profile of a book, replacing its earlier profile
+ * Like reviews, profiles are kept when a book is deleted, so they apply again if it is re-imported
+ * @param {Object} profile - Profile (see createBookProfile in profiles.js)
+ * @returns {Promise<void>}
+ */
+export async function saveProfile(profile) {
+  await runStoreRequest(PROFILES_STORE, 'readwrite', store => store.put(profile));
+}
+
+/**
+ * Delete the profile of a book
+ * @param {string} bookId - Book ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(bookId) {
+  await runStoreRequest(PROFILES_STORE, 'readwrite', store => store.delete(bookId));
+}
+
+/**
+ * Get a cached AI result
+ * @param {string} key - Cache key (see createAiCacheKey in ai_cache.js)
+ * @returns {Promise<Object|null>} Cache entry or null if there is none
+ */
+export async function getAiCacheEntry(key) {
+  const entry = await runStoreRequest(AI_CACHE_STORE, 'readonly', store => store.get(key));
+  return entry || null;
+}
+
+/**
+ * Save an AI result, replacing an earlier one with the same key
+ * @param {Object} entry - Cache entry (see cacheAiResult in ai_cache.js)
+ * @returns {Promise<void>}
+ */
+export async function saveAiCacheEntry(entry) {
+  await runStoreRequest(AI_CACHE_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * List the cached AI results, most recent first
+ * @returns {Promise<Object[]>} Cache entries
+ */
+export async function listAiCacheEntries() {
+  const entries = await runStoreRequest(AI_CACHE_STORE, 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Delete a cached AI result
+ * @param {string} key - Cache key
+ * @returns {Promise<void>}
+ */
+export async function deleteAiCacheEntry(key) {
+  await runStoreRequest(AI_CACHE_STORE, 'readwrite', store => store.delete(key));
+}
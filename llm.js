@@ -0,0 +1,352 @@
+// LLM provider module
+// The model that processes highlights is reached through a provider: the Gemini API, any
+// OpenAI-compatible chat completions endpoint (OpenAI, a proxy or a local server) or a local
+// Ollama server. Every provider turns one prompt into text with the model, temperature and
+// token limit set for it in the Config tab. Rate limits and server errors are retried with
+// exponential backoff, waiting at least as long as the server asks in Retry-After. The token
+// budgets say how much a single request may send and expect back (see gemini.js)
+
+const LLM_PROVIDERS = {
+  gemini: {
+    name: 'Gemini',
+    defaults: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.5-flash', concurrency: 4, inputTokenBudget: 8000, outputTokenBudget: 8000 },
+    requiresApiKey: true,
+    generate: generateWithGemini,
+    countTokens: countTokensWithGemini
+  },
+  openai: {
+    name: 'OpenAI-compatible API',
+    defaults: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', concurrency: 4, inputTokenBudget: 8000, outputTokenBudget: 8000 },
+    requiresApiKey: false,
+    generate: generateWithOpenAi,
+    countTokens: null
+  },
+  ollama: {
+    name: 'Ollama',
+    // A local server works through one request at a time anyway, and its default context window is small
+    defaults: { baseUrl: 'http://localhost:11434', model: 'llama3.1', concurrency: 1, inputTokenBudget: 3000, outputTokenBudget: 2000 },
+    requiresApiKey: false,
+    generate: generateWithOllama,
+    countTokens: null
+  }
+};
+
+export const DEFAULT_LLM_PROVIDER = 'gemini';
+
+// Requests per prompt, including the first one
+const LLM_MAX_ATTEMPTS = 4;
+const LLM_RETRY_BASE_DELAY_MS = 2000;
+const LLM_RETRY_MAX_DELAY_MS = 60000;
+// A Retry-After is honored up to this wait; a request that would wait longer fails instead
+const LLM_MAX_RETRY_AFTER_MS = 10 * 60000;
+
+// Response statuses worth retrying: rate limits and temporary server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Get a provider by ID
+ * @param {string} providerId - 'gemini', 'openai' or 'ollama'
+ * @returns {{name: string, defaults: {baseUrl: string, model: string, concurrency: number, inputTokenBudget: number, outputTokenBudget: number}, requiresApiKey: boolean}} Provider, or the default one when unknown
+ */
+export function getLlmProvider(providerId) {
+  return LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+}
+
+/**
+ * Build the configuration of the chosen provider from the saved settings
+ * Empty settings fall back to the provider defaults; the Gemini API key is the one saved in the Config tab.
+ * The output token budget defaults to the max output tokens when those are set, since the model can't write more
+ * @param {Object} settings - Saved settings from loadSavedData (storage.js)
+ * @returns {{provider: string, name: string, baseUrl: string, apiKey: string, model: string, temperature: number|null, maxTokens: number|null, concurrency: number, inputTokenBudget: number, outputTokenBudget: number}} Provider configuration
+ */
+export function createLlmConfig(settings) {
+  const providerId = LLM_PROVIDERS[settings.llmProvider] ? settings.llmProvider : DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[providerId];
+  const providerSettings = (settings.llmProviderSettings || {})[providerId] || {};
+  const maxTokens = typeof providerSettings.maxTokens === 'number' ? providerSettings.maxTokens : null;
+  return {
+    provider: providerId,
+    name: provider.name,
+    baseUrl: (providerSettings.baseUrl || provider.defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: providerId === 'gemini' ? settings.geminiApiKey || '' : providerSettings.apiKey || '',
+    model: providerSettings.model || provider.defaults.model,
+    temperature: typeof providerSettings.temperature === 'number' ? providerSettings.temperature : null,
+    maxTokens,
+    concurrency: Math.max(1, providerSettings.concurrency || provider.defaults.concurrency),
+    inputTokenBudget: providerSettings.inputTokenBudget || provider.defaults.inputTokenBudget,
+    outputTokenBudget: providerSettings.outputTokenBudget || maxTokens || provider.defaults.outputTokenBudget
+  };
+}
+
+/**
+ * Check whether a provider configuration can be used
+ * @param {Object} config - Provider configuration from createLlmConfig
+ * @returns {string|null} What is missing, or null when the provider can be used
+ */
+export function getLlmConfigError(config) {
+  if (!config) {
+    return 'No AI provider configured';
+  }
+  if (LLM_PROVIDERS[config.provider].requiresApiKey && !config.apiKey) {
+    return `${config.name} API key is required`;
+  }
+  return null;
+}
+
+/**
+ * Generate text from a prompt with the configured provider
+ * @param {string} prompt - Prompt
+ * @param {Object} config - Provider configuration from createLlmConfig
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<string>} Generated text
+ */
+export async function generateText(prompt, config, signal = null) {
+  const text = await LLM_PROVIDERS[config.provider].generate(prompt, config, signal);
+  if (typeof text !== 'string') {
+    throw new Error(`Invalid response format from ${config.name}`);
+  }
+  return text.trim();
+}
+
+/**
+ * Count the tokens of a text with the provider's token counting endpoint, retrying like
+ * generateTextWithRetries
+ * @param {string} text - Text to count
+ * @param {Object} config - Provider configuration from createLlmConfig
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request and the wait before a retry
+ * @returns {Promise<number|null>} Token count, or null when the provider has no such endpoint
+ */
+export async function countTokens(text, config, signal = null) {
+  const provider = LLM_PROVIDERS[config.provider];
+  if (!provider.countTokens) {
+    return null;
+  }
+  const { result: tokens } = await retryRequest(() => provider.countTokens(text, config, signal), signal);
+  return typeof tokens === 'number' ? tokens : null;
+}
+
+/**
+ * Generate text from a prompt, retrying rate limits, server errors and network failures
+ * @param {string} prompt - Prompt
+ * @param {Object} config - Provider configuration from createLlmConfig
+ * @param {Object} retryOptions - Optional retry handling
+ * @param {AbortSignal|null} retryOptions.signal - Signal that aborts the request and the wait before a retry
+ * @param {Function|null} retryOptions.onRetry - Called before waiting for a retry as (error, attempt, delayMs)
+ * @returns {Promise<{text: string, attempts: number}>} Generated text and the number of requests it took
+ */
+export async function generateTextWithRetries(prompt, config, { signal = null, onRetry = null } = {}) {
+  const { result: text, attempts } = await retryRequest(() => generateText(prompt, config, signal), signal, onRetry);
+  return { text, attempts };
+}
+
+/**
+ * Make a request, retrying rate limits, server errors and network failures with backoff
+ * @param {Function} request - Makes the request, returning a promise
+ * @param {AbortSignal|null} signal - Signal that aborts the wait before a retry
+ * @param {Function|null} onRetry - Called before waiting for a retry as (error, attempt, delayMs)
+ * @returns {Promise<{result: *, attempts: number}>} Result of the request and the number of requests it took
+ */
+async function retryRequest(request, signal, onRetry = null) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await request(), attempts: attempt };
+    } catch (error) {
+      if (signal?.aborted || attempt >= LLM_MAX_ATTEMPTS || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      if (error.retryAfterMs > LLM_MAX_RETRY_AFTER_MS) {
+        const waitError = new Error(`${error.message} (the provider asked to wait ${Math.ceil(error.retryAfterMs / 60000)} minutes before retrying)`);
+        waitError.status = error.status;
+        waitError.attempts = attempt;
+        throw waitError;
+      }
+      const delayMs = getRetryDelay(error, attempt);
+      if (onRetry) {
+        onRetry(error, attempt, delayMs);
+      }
+      await delay(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate limits, temporary server errors and network failures
+ */
+function isRetryableError(error) {
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  // fetch rejects with a TypeError when the server can't be reached
+  return error instanceof TypeError;
+}
+
+/**
+ * Compute how long to wait before a retry: exponential backoff with jitter, capped at a minute,
+ * or the Retry-After the server asked for when that is longer
+ * @param {Error} error - Request error
+ * @param {number} attempt - Attempt that failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const backoffMs = LLM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  const jitteredMs = backoffMs * (0.75 + Math.random() * 0.5);
+  return Math.max(Math.min(jitteredMs, LLM_RETRY_MAX_DELAY_MS), error.retryAfterMs || 0);
+}
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait before a retry; the wait ends early when the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Optional signal that ends the wait
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Send a JSON request to a provider and read its JSON response
+ * @param {Object} config - Provider configuration
+ * @param {string} url - Request URL
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<Object>} Response data; a failed request throws an error with its status and retryAfterMs
+ */
+async function postJson(config, url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ message: response.statusText }));
+    const message = typeof errorData.error === 'string' ? errorData.error : errorData.message || errorData.error?.message || response.statusText;
+    const error = new Error(`${config.name} error: ${message}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Generate text with the Gemini API
+ * @param {string} prompt - Prompt
+ * @param {Object} config - Provider configuration
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<string|undefined>} Generated text
+ */
+async function generateWithGemini(prompt, config, signal) {
+  const generationConfig = {
+    thinkingConfig: {
+      thinkingBudget: 0
+    }
+  };
+  if (config.temperature !== null) {
+    generationConfig.temperature = config.temperature;
+  }
+  if (config.maxTokens !== null) {
+    generationConfig.maxOutputTokens = config.maxTokens;
+  }
+
+  const data = await postJson(config, `${config.baseUrl}/models/${config.model}:generateContent`, { 'x-goog-api-key': config.apiKey }, {
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig
+  }, signal);
+
+  const parts = data.candidates?.[0]?.content?.parts;
+  return parts ? parts.map(part => part.text).join('') : undefined;
+}
+
+/**
+ * Count the tokens of a text with the Gemini API
+ * @param {string} text - Text to count
+ * @param {Object} config - Provider configuration
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<number|undefined>} Token count
+ */
+async function countTokensWithGemini(text, config, signal) {
+  const data = await postJson(config, `${config.baseUrl}/models/${config.model}:countTokens`, { 'x-goog-api-key': config.apiKey }, {
+    contents: [{ parts: [{ text }] }]
+  }, signal);
+  return data.totalTokens;
+}
+
+/**
+ * Generate text with an OpenAI-compatible chat completions endpoint
+ * @param {string} prompt - Prompt
+ * @param {Object} config - Provider configuration
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<string|undefined>} Generated text
+ */
+async function generateWithOpenAi(prompt, config, signal) {
+  const body = {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }]
+  };
+  if (config.temperature !== null) {
+    body.temperature = config.temperature;
+  }
+  if (config.maxTokens !== null) {
+    body.max_tokens = config.maxTokens;
+  }
+
+  // Local servers usually need no key
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+  const data = await postJson(config, `${config.baseUrl}/chat/completions`, headers, body, signal);
+  return data.choices?.[0]?.message?.content;
+}
+
+/**
+ * Generate text with a local Ollama server
+ * @param {string} prompt - Prompt
+ * @param {Object} config - Provider configuration
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request
+ * @returns {Promise<string|undefined>} Generated text
+ */
+async function generateWithOllama(prompt, config, signal) {
+  const options = {};
+  if (config.temperature !== null) {
+    options.temperature = config.temperature;
+  }
+  if (config.maxTokens !== null) {
+    options.num_predict = config.maxTokens;
+  }
+
+  const data = await postJson(config, `${config.baseUrl}/api/chat`, {}, {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    stream: false,
+    options
+  }, signal);
+  return data.message?.content;
+}
@@ -0,0 +1,68 @@
+// Markdown preview module
+// Renders the Markdown that this extension produces (headings, paragraphs, note blockquotes,
+// bold color labels and links back to the book) as HTML for the side panel preview
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the inline Markdown of a line: **bold** text and [text](url) links
+ * Only http(s) and kindle:// links become anchors; other links are shown as text
+ * @param {string} text - Line text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\[([^\]]+)\]\(((?:https?|kindle):\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank">$1</a>');
+}
+
+/**
+ * Render Markdown as HTML for the preview
+ * @param {string} markdown - Markdown content
+ * @returns {string} HTML
+ */
+export function renderMarkdownPreview(markdown) {
+  const html = [];
+  let quoteLines = [];
+  
+  const closeQuote = () => {
+    if (quoteLines.length > 0) {
+      html.push(`<blockquote>${quoteLines.map(renderInline).join('<br>')}</blockquote>`);
+      quoteLines = [];
+    }
+  };
+  
+  for (const rawLine of (markdown || '').split('\n')) {
+    const line = rawLine.trim();
+    
+    if (line === '>' || line.startsWith('> ')) {
+      quoteLines.push(line.substring(2));
+      continue;
+    }
+    closeQuote();
+    
+    if (line.startsWith('### ')) {
+      html.push(`<h4>${renderInline(line.substring(4))}</h4>`);
+    } else if (line.startsWith('## ')) {
+      html.push(`<h3>${renderInline(line.substring(3))}</h3>`);
+    } else if (/^(-{3,}|\*{3,})$/.test(line)) {
+      html.push('<hr>');
+    } else if (line.length > 0) {
+      html.push(`<p>${renderInline(line)}</p>`);
+    }
+  }
+  closeQuote();
+  
+  return html.join('\n');
+}
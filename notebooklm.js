@@ -3,9 +3,10 @@
 // while delegating to specialized modules for notebooks, sources, and flashcards
 
 import { openNotebookByName, waitForTabReady } from './notebooklm_notebooks.js';
-import { handleNotebooklmExport } from './notebooklm_sources.js';
-import { handleCreateFlashcards, renameFlashcard } from './notebooklm_flashcards.js';
+import { handleNotebooklmExport, handleRemoveSource } from './notebooklm_sources.js';
+import { handleCreateFlashcards, renameFlashcard, handleDeleteFlashcards } from './notebooklm_flashcards.js';
 import { loadProcessedContent } from './storage.js';
+import { forwardCancellation } from './utils.js';
 
 /**
  * Wait for content script to be ready by sending a ping message
@@ -48,7 +49,7 @@ function waitForContentScript(tabId, statusCallback = null) {
 }
 
 // Re-export functions for use in content scripts
-export { openNotebookByName, handleNotebooklmExport, handleCreateFlashcards, renameFlashcard };
+export { openNotebookByName, handleNotebooklmExport, handleCreateFlashcards, renameFlashcard, handleRemoveSource, handleDeleteFlashcards };
 
 /**
  * Export content to NotebookLM
@@ -56,9 +57,10 @@ export { openNotebookByName, handleNotebooklmExport, handleCreateFlashcards, ren
  * @param {string} content - Content to export
  * @param {Function} statusCallback - Callback for status updates
  * @param {string} sourceName - Name to use for the source (optional)
+ * @param {AbortSignal|null} signal - Optional signal that cancels the export at a safe point
  * @returns {Promise<boolean>} Success status
  */
-export async function exportToNotebooklm(bookName, content, statusCallback, sourceName = null) {
+export async function exportToNotebooklm(bookName, content, statusCallback, sourceName = null, signal = null) {
   if (!bookName) {
     statusCallback('Please provide a book name', 'error');
     return false;
@@ -86,8 +88,10 @@ export async function exportToNotebooklm(bookName, content, statusCallback, sour
     
     // Wait for content script to be ready
     await waitForContentScript(tab.id, statusCallback);
+    signal?.throwIfAborted();
     
     // Send message to content script to open the notebook and automate the process
+    const stopForwarding = forwardCancellation(tab.id, signal);
     return new Promise((resolve) => {
       chrome.tabs.sendMessage(tab.id, { 
         action: 'openNotebookAndExport',
@@ -95,6 +99,7 @@ export async function exportToNotebooklm(bookName, content, statusCallback, sour
         content: content,
         sourceName: sourceName
       }, function(response) {
+        stopForwarding();
         if (chrome.runtime.lastError) {
           statusCallback('Please refresh the NotebookLM page and try again', 'error');
           resolve(false);
@@ -115,23 +120,86 @@ export async function exportToNotebooklm(bookName, content, statusCallback, sour
   }
 }
 
+/**
+ * Remove sources and flashcard decks from a NotebookLM notebook
+ * @param {string} bookName - Name of the notebook to open
+ * @param {Object} artifacts - What to remove
+ * @param {string[]} artifacts.sourceNames - Names of the sources
+ * @param {string[]} artifacts.flashcardDecks - Names of the flashcard decks
+ * @param {Function} statusCallback - Callback for status updates
+ * @returns {Promise<Array<{type: string, name: string, success: boolean, error?: string}>>} One result per deck ('flashcards') and source ('source')
+ */
+export async function removeFromNotebooklm(bookName, { sourceNames = [], flashcardDecks = [] }, statusCallback) {
+  const failAll = (error) => [
+    ...flashcardDecks.map(name => ({ type: 'flashcards', name, success: false, error })),
+    ...sourceNames.map(name => ({ type: 'source', name, success: false, error }))
+  ];
+  
+  try {
+    statusCallback('Opening NotebookLM...', 'info');
+    
+    // Open the NotebookLM welcome page in a new tab
+    const tab = await chrome.tabs.create({ url: 'https://notebooklm.google.com/' });
+    
+    // Wait for the page and the content script to load
+    statusCallback('Waiting for NotebookLM to load...', 'info');
+    await waitForTabReady(tab.id);
+    await waitForContentScript(tab.id);
+    
+    statusCallback(`Removing ${flashcardDecks.length} flashcard deck(s) and ${sourceNames.length} source(s) from "${bookName}"...`, 'info');
+    
+    // Send message to content script to open the notebook and remove the decks and sources
+    return new Promise((resolve) => {
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'openNotebookAndRemove',
+        bookName: bookName,
+        sourceNames: sourceNames,
+        flashcardDecks: flashcardDecks
+      }, function(response) {
+        if (chrome.runtime.lastError) {
+          resolve(failAll('Please refresh the NotebookLM page and try again'));
+        } else if (response && response.success) {
+          resolve(response.results);
+        } else {
+          resolve(failAll(response?.error || 'Failed to open the notebook'));
+        }
+      });
+    });
+    
+  } catch (error) {
+    console.error('Error removing from NotebookLM:', error);
+    return failAll(error.message);
+  }
+}
+
 /**
  * Create flashcards in NotebookLM
+ * Opens the notebook in a new tab rather than using the active one: runs go on in the background
+ * while other pages are browsed, and the source may have been added in an earlier run
+ * @param {string} bookName - Name of the notebook to open
  * @param {Function} statusCallback - Callback for status updates
  * @param {string} sourceName - Optional name of the source to select for flashcards
  * @param {string} chapterName - Optional name to rename the flashcard after creation
+ * @param {AbortSignal|null} signal - Optional signal that cancels the automation before the flashcards are created
  * @returns {Promise<boolean>} Success status
  */
-export async function createFlashcards(statusCallback, sourceName = null, chapterName = null) {
+export async function createFlashcards(bookName, statusCallback, sourceName = null, chapterName = null, signal = null) {
+  if (!bookName) {
+    statusCallback('Please provide a book name', 'error');
+    return false;
+  }
+  
   try {
-    // Get the current active tab (should be the NotebookLM page)
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const currentTab = tabs[0];
+    statusCallback('Opening NotebookLM...', 'info');
     
-    if (!currentTab.url.includes('notebooklm.google.com')) {
-      statusCallback('Please navigate to your NotebookLM notebook first', 'error');
-      return false;
-    }
+    // Open the NotebookLM welcome page in a new tab
+    const tab = await chrome.tabs.create({ url: 'https://notebooklm.google.com/' });
+    
+    // Wait for the page and the content script to load
+    statusCallback('Waiting for NotebookLM to load...', 'info');
+    await waitForTabReady(tab.id);
+    await waitForContentScript(tab.id);
+    signal?.throwIfAborted();
     
     statusCallback('Creating flashcards...', 'info');
     
@@ -143,15 +211,18 @@ export async function createFlashcards(statusCallback, sourceName = null, chapte
     };
     chrome.runtime.onMessage.addListener(statusUpdateListener);
     
-    // Send message to content script to create flashcards
+    // Send message to content script to open the notebook and create flashcards
+    const stopForwarding = forwardCancellation(tab.id, signal);
     return new Promise((resolve) => {
-      chrome.tabs.sendMessage(currentTab.id, { 
-        action: 'createFlashcards',
+      chrome.tabs.sendMessage(tab.id, { 
+        action: 'openNotebookAndCreateFlashcards',
+        bookName: bookName,
         sourceName: sourceName,
         chapterName: chapterName
       }, function(response) {
         // Remove the status update listener when done
         chrome.runtime.onMessage.removeListener(statusUpdateListener);
+        stopForwarding();
         
         if (chrome.runtime.lastError) {
           statusCallback('Please refresh the NotebookLM page and try again', 'error');
@@ -319,16 +319,119 @@ export async function renameFlashcard(chapterName) {
   }
 }
 
+/**
+ * Delete a flashcard deck from the studio panel of the open notebook (for use in content scripts)
+ * @param {string} deckName - Name of the deck, as given by renameFlashcard
+ * @returns {Promise<{success: boolean, error?: string, message?: string}>}
+ */
+export async function handleDeleteFlashcards(deckName) {
+  try {
+    console.log(`Deleting flashcards "${deckName}"...`);
+    
+    // Step 1: Find the studio panel
+    let studioPanel = await waitForElement('body > labs-tailwind-root > div > notebook > div > section.studio-panel', 5000, 100);
+    if (!studioPanel) {
+      studioPanel = await waitForElement('section.studio-panel', 3000, 100);
+      if (!studioPanel) {
+        throw new Error('Could not find flashcards section (studio panel)');
+      }
+    }
+    
+    // Wait a moment for the artifacts to fully render
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    // Step 2: Find the deck by its exact name. Decks of updates are named "<chapter> - update N",
+    // so a partial match could delete another deck; several decks with the name are refused too
+    const findDecks = () => [...studioPanel.querySelectorAll('artifact-library-item')].filter(artifact => {
+      const title = artifact.querySelector('[class*="title"], h3, h4');
+      return (title ? title.textContent : artifact.textContent || '').trim() === deckName;
+    });
+    const decks = findDecks();
+    if (decks.length === 0) {
+      throw new Error(`No flashcards named exactly "${deckName}" in this notebook`);
+    }
+    if (decks.length > 1) {
+      throw new Error(`${decks.length} flashcard decks are named "${deckName}" in this notebook; delete the right one by hand`);
+    }
+    const deck = decks[0];
+    
+    // Step 3: Open the deck's More menu
+    let moreButton = deck.querySelector('span.mdc-button__label mat-icon') || deck.querySelector('button mat-icon, mat-icon');
+    if (!moreButton) {
+      throw new Error('Could not find More button on flashcard in studio panel section');
+    }
+    const buttonToClick = moreButton.tagName === 'MAT-ICON'
+      ? moreButton.closest('button') || moreButton.parentElement
+      : moreButton;
+    
+    console.log('Clicking More button...');
+    buttonToClick.click();
+    
+    // Wait for the menu to appear
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    // Step 4: Find and click the "Delete" button
+    let deleteButton = null;
+    const menuButtons = document.querySelectorAll('div.cdk-overlay-container button, mat-menu button');
+    for (let btn of menuButtons) {
+      const text = btn.textContent.trim().toLowerCase();
+      const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+      if (text.includes('delete') || ariaLabel.includes('delete')) {
+        deleteButton = btn;
+        break;
+      }
+    }
+    
+    if (!deleteButton) {
+      throw new Error('Could not find "Delete" button in menu');
+    }
+    
+    console.log('Clicking Delete button...');
+    deleteButton.click();
+    
+    // Step 5: Confirm the deletion if a dialog asks for it
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const dialogButtons = document.querySelectorAll('mat-dialog-container button, div.cdk-overlay-container mat-dialog-actions button');
+    for (let btn of dialogButtons) {
+      const text = btn.textContent.trim().toLowerCase();
+      if (text.includes('delete') && !text.includes('cancel')) {
+        console.log('Clicking confirmation button...');
+        btn.click();
+        break;
+      }
+    }
+    
+    // Wait for the deck to be removed, and fail if it is still listed
+    let attempts = 0;
+    while (findDecks().length > 0 && attempts < 10) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      attempts++;
+    }
+    if (findDecks().length > 0) {
+      throw new Error(`Flashcards "${deckName}" are still in the notebook after deleting them`);
+    }
+    
+    console.log('Flashcards deleted successfully');
+    return { success: true, message: `Deleted flashcards "${deckName}"` };
+    
+  } catch (error) {
+    console.error('Delete flashcards error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Handle creating flashcards in NotebookLM
  * @param {string} sourceName - Optional name of the source to select for flashcards
  * @param {string} chapterName - Optional name to rename the flashcard after creation
  * @param {Function} statusUpdateCallback - Optional callback for status updates
+ * @param {AbortSignal|null} signal - Optional signal that cancels the automation before the flashcards are created
  * @returns {Promise<{success: boolean, error?: string, message?: string}>}
  */
-export async function handleCreateFlashcards(sourceName = null, chapterName = null, statusUpdateCallback = null) {
+export async function handleCreateFlashcards(sourceName = null, chapterName = null, statusUpdateCallback = null, signal = null) {
   try {
     console.log('Starting create flashcards automation...');
+    signal?.throwIfAborted();
     
     // Step 1: Select only the specified source (uncheck all others)
     if (sourceName) {
@@ -414,6 +517,9 @@ export async function handleCreateFlashcards(sourceName = null, chapterName = nu
     }
     
     // Step 2: Find and click the "Create flashcards" button
+    // Once generation starts, the deck is finished and renamed even if the run is cancelled
+    signal?.throwIfAborted();
+    
     // Based on the recording, try multiple selectors
     let createFlashcardsButton = await waitForElement('basic-create-artifact-button:nth-of-type(5) span.slim-container > span > span', 5000);
     
@@ -47,9 +47,10 @@ export function extractNotionPageId(url) {
  * Get database data source ID and title property name
  * @param {string} databaseId - Database ID
  * @param {string} authToken - Notion API auth token
- * @returns {Promise<{dataSourceId: string|null, titlePropertyName: string, bookNamePropertyName: string|null, bookNamePropertyType: string|null}>}
+ * @param {AbortSignal|null} signal - Optional signal that aborts the requests
+ * @returns {Promise<{dataSourceId: string|null, titlePropertyName: string, bookNamePropertyName: string|null, bookNamePropertyType: string|null, authorPropertyName: string|null, authorPropertyType: string|null}>}
  */
-export async function getDatabaseDataSourceAndTitleProperty(databaseId, authToken) {
+export async function getDatabaseDataSourceAndTitleProperty(databaseId, authToken, signal = null) {
   try {
     // First, fetch the database to get its data sources
     const dbResponse = await fetch(`${NOTION_API_BASE}/databases/${databaseId}`, {
@@ -58,7 +59,8 @@ export async function getDatabaseDataSourceAndTitleProperty(databaseId, authToke
         'Authorization': `Bearer ${authToken}`,
         'Content-Type': 'application/json',
         'Notion-Version': NOTION_API_VERSION
-      }
+      },
+      signal
     });
     
     if (!dbResponse.ok) {
@@ -85,7 +87,8 @@ export async function getDatabaseDataSourceAndTitleProperty(databaseId, authToke
           'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'application/json',
           'Notion-Version': NOTION_API_VERSION
-        }
+        },
+        signal
       });
       
       if (dsResponse.ok) {
@@ -126,13 +129,83 @@ export async function getDatabaseDataSourceAndTitleProperty(databaseId, authToke
       }
     }
     
-    return { dataSourceId, titlePropertyName, bookNamePropertyName, bookNamePropertyType };
+    // Find the "Author" property if it exists
+    let authorPropertyName = null;
+    let authorPropertyType = null;
+    const authorVariants = ['Author', 'Authors', 'Author(s)', 'Writer'];
+    for (const [propertyName, property] of Object.entries(properties)) {
+      if (authorVariants.includes(propertyName)) {
+        authorPropertyName = propertyName;
+        authorPropertyType = property.type;
+        break;
+      }
+    }
+    
+    return { dataSourceId, titlePropertyName, bookNamePropertyName, bookNamePropertyType, authorPropertyName, authorPropertyType };
   } catch (error) {
     console.error('Error fetching database/data source:', error);
     throw error;
   }
 }
 
+/**
+ * Convert text to Notion rich text, turning Markdown links ("[Location 293](kindle://...)") into linked runs
+ * @param {string} text - Text
+ * @returns {Array} Notion rich text array
+ */
+function convertLinksToRichText(text) {
+  const richText = [];
+  const linkPattern = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = linkPattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      richText.push({
+        type: "text",
+        text: { content: text.substring(lastIndex, match.index) }
+      });
+    }
+    richText.push({
+      type: "text",
+      text: { content: match[1], link: { url: match[2] } }
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  
+  if (lastIndex < text.length || richText.length === 0) {
+    richText.push({
+      type: "text",
+      text: { content: text.substring(lastIndex) }
+    });
+  }
+  
+  return richText;
+}
+
+/**
+ * Convert a line of text to Notion rich text
+ * A leading bold color label ("**Definition:** ...") becomes a bold text run,
+ * and links back to the book become linked text
+ * @param {string} text - Line text
+ * @returns {Array} Notion rich text array
+ */
+function convertLineToRichText(text) {
+  const labelMatch = text.match(/^\*\*([^*]+:)\*\*\s+(.*)$/);
+  if (labelMatch) {
+    return [
+      {
+        type: "text",
+        text: { content: `${labelMatch[1]} ` },
+        annotations: { bold: true }
+      },
+      ...convertLinksToRichText(labelMatch[2])
+    ];
+  }
+  
+  return convertLinksToRichText(text);
+}
+
 /**
  * Convert markdown content to Notion blocks
  * @param {string} markdown - Markdown content
@@ -169,16 +242,35 @@ export function convertMarkdownToNotionBlocks(markdown) {
           }]
         }
       });
+    } else if (line === '>' || line.startsWith('> ')) {
+      // Blockquote lines hold the user's notes, shown as a callout
+      // Consecutive quote lines are merged into the same callout
+      const noteText = line.substring(2);
+      const previousBlock = blocks[blocks.length - 1];
+      const previousLine = i > 0 ? lines[i - 1].trim() : '';
+      if (previousBlock && previousBlock.type === 'callout' && (previousLine === '>' || previousLine.startsWith('> '))) {
+        previousBlock.callout.rich_text[0].text.content += `\n${noteText}`;
+      } else {
+        blocks.push({
+          object: "block",
+          type: "callout",
+          callout: {
+            rich_text: [{
+              type: "text",
+              text: { content: noteText }
+            }],
+            icon: { type: "emoji", emoji: "📝" },
+            color: "gray_background"
+          }
+        });
+      }
     } else if (line.length > 0) {
       // Regular paragraph
       blocks.push({
         object: "block",
         type: "paragraph",
         paragraph: {
-          rich_text: [{
-            type: "text",
-            text: { content: line }
-          }]
+          rich_text: convertLineToRichText(line)
         }
       });
     }
@@ -187,6 +279,51 @@ export function convertMarkdownToNotionBlocks(markdown) {
   return blocks;
 }
 
+/**
+ * Build the value of a text-like page property, such as "Book Name" or "Author"
+ * Reference: https://developers.notion.com/docs/working-with-databases
+ * @param {string} propertyName - Property name (used in warnings)
+ * @param {string} propertyType - Notion property type
+ * @param {string[]} values - Values to set; text properties get them comma-separated
+ * @returns {Object|null} Property value, or null if the property type is not supported
+ */
+function buildTextPropertyValue(propertyName, propertyType, values) {
+  const text = values.join(', ');
+  
+  if (propertyType === 'rich_text') {
+    return {
+      type: "rich_text",
+      rich_text: [{
+        type: "text",
+        text: { content: text }
+      }]
+    };
+  } else if (propertyType === 'title') {
+    return {
+      type: "title",
+      title: [{
+        type: "text",
+        text: { content: text }
+      }]
+    };
+  } else if (propertyType === 'multi_select') {
+    // Missing options are created by Notion; option names can't contain commas
+    return {
+      type: "multi_select",
+      multi_select: values.map(value => ({ name: value.replace(/,/g, '') }))
+    };
+  } else if (propertyType === 'select') {
+    // If it's a select property, we'd need to match an option
+    // For now, we'll skip it and log a warning
+    console.warn(`"${propertyName}" property is of type "select" and cannot be set automatically`);
+  } else {
+    // For other property types, log a warning
+    console.warn(`"${propertyName}" property type "${propertyType}" is not supported yet`);
+  }
+  
+  return null;
+}
+
 /**
  * Create a page in Notion database
  * @param {string} databaseId - Database ID
@@ -195,10 +332,15 @@ export function convertMarkdownToNotionBlocks(markdown) {
  * @param {string} pageTitle - Title for the new page
  * @param {Array} blocks - Content blocks to add
  * @param {string} authToken - Notion API auth token
- * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Function} progressCallback - Optional callback for progress updates: (message, batch, batchCount)
  * @param {string|null} bookNamePropertyName - Name of the "Book Name" property (optional)
  * @param {string|null} bookNamePropertyType - Type of the "Book Name" property (optional)
  * @param {string|null} bookName - Book name value to set (optional)
+ * @param {string|null} authorPropertyName - Name of the "Author" property (optional)
+ * @param {string|null} authorPropertyType - Type of the "Author" property (optional)
+ * @param {string[]} authors - Author names to set (optional)
+ * @param {AbortSignal|null} signal - Optional signal that aborts the request creating the page, and
+ *   stops before the batches after the first one (see addBlocksToPage)
  * @returns {Promise<string>} Created page ID
  */
 export async function createPageInDatabase(
@@ -211,7 +353,11 @@ export async function createPageInDatabase(
   progressCallback = null,
   bookNamePropertyName = null,
   bookNamePropertyType = null,
-  bookName = null
+  bookName = null,
+  authorPropertyName = null,
+  authorPropertyType = null,
+  authors = [],
+  signal = null
 ) {
   // Create the page with title and initial content
   const pageData = {
@@ -235,31 +381,17 @@ export async function createPageInDatabase(
   
   // Add "Book Name" property if it exists and bookName is provided
   if (bookNamePropertyName && bookName && bookNamePropertyType) {
-    // Handle different property types for "Book Name" based on the Notion API
-    // Reference: https://developers.notion.com/docs/working-with-databases
-    if (bookNamePropertyType === 'rich_text') {
-      pageData.properties[bookNamePropertyName] = {
-        type: "rich_text",
-        rich_text: [{
-          type: "text",
-          text: { content: bookName }
-        }]
-      };
-    } else if (bookNamePropertyType === 'title') {
-      pageData.properties[bookNamePropertyName] = {
-        type: "title",
-        title: [{
-          type: "text",
-          text: { content: bookName }
-        }]
-      };
-    } else if (bookNamePropertyType === 'select') {
-      // If it's a select property, we'd need to match an option
-      // For now, we'll skip it and log a warning
-      console.warn(`"Book Name" property is of type "select" and cannot be set automatically`);
-    } else {
-      // For other property types, log a warning
-      console.warn(`"Book Name" property type "${bookNamePropertyType}" is not supported yet`);
+    const bookNameValue = buildTextPropertyValue(bookNamePropertyName, bookNamePropertyType, [bookName]);
+    if (bookNameValue) {
+      pageData.properties[bookNamePropertyName] = bookNameValue;
+    }
+  }
+  
+  // Add "Author" property if it exists and authors are known
+  if (authorPropertyName && authorPropertyType && authors && authors.length > 0) {
+    const authorValue = buildTextPropertyValue(authorPropertyName, authorPropertyType, authors);
+    if (authorValue) {
+      pageData.properties[authorPropertyName] = authorValue;
     }
   }
   
@@ -276,6 +408,7 @@ export async function createPageInDatabase(
     progressCallback(`Creating page "${pageTitle}"...`);
   }
   
+  signal?.throwIfAborted();
   const createResponse = await fetch(`${NOTION_API_BASE}/pages`, {
     method: 'POST',
     headers: {
@@ -283,7 +416,8 @@ export async function createPageInDatabase(
       'Content-Type': 'application/json',
       'Notion-Version': NOTION_API_VERSION
     },
-    body: JSON.stringify(pageData)
+    body: JSON.stringify(pageData),
+    signal
   });
   
   if (!createResponse.ok) {
@@ -294,9 +428,23 @@ export async function createPageInDatabase(
   const createdPage = await createResponse.json();
   const pageId = createdPage.id;
   
+  // The page is created with the first batch of blocks
+  const batchCount = Math.max(1, Math.ceil(blocks.length / 100));
+  if (progressCallback) {
+    progressCallback(`Created page "${pageTitle}" (batch 1/${batchCount})`, 1, batchCount);
+  }
+  
   // If we have more than 100 blocks, add them in batches
   if (blocks.length > 100) {
-    await addBlocksToPage(pageId, blocks.slice(100), authToken, progressCallback);
+    // Number the batches after the one the page was created with
+    const batchCallback = progressCallback
+      ? (message, batch) => {
+        if (batch) {
+          progressCallback(`Added batch ${batch + 1}/${batchCount}...`, batch + 1, batchCount);
+        }
+      }
+      : null;
+    await addBlocksToPage(pageId, blocks.slice(100), authToken, batchCallback, signal);
   }
   
   return pageId;
@@ -307,10 +455,14 @@ export async function createPageInDatabase(
  * @param {string} pageId - Page ID
  * @param {Array} blocks - Blocks to add
  * @param {string} authToken - Notion API auth token
- * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Function} progressCallback - Optional callback for progress updates: (message, batch, batchCount)
+ * @param {AbortSignal|null} signal - Optional signal that stops before the first batch; once blocks
+ *   are added, the other batches follow so the page isn't left half-written
+ * @returns {Promise<string[]>} IDs of the added blocks
  */
-export async function addBlocksToPage(pageId, blocks, authToken, progressCallback = null) {
+export async function addBlocksToPage(pageId, blocks, authToken, progressCallback = null, signal = null) {
   const chunkSize = 100;
+  const blockIds = [];
   const chunks = [];
   for (let i = 0; i < blocks.length; i += chunkSize) {
     chunks.push(blocks.slice(i, i + chunkSize));
@@ -320,6 +472,8 @@ export async function addBlocksToPage(pageId, blocks, authToken, progressCallbac
     progressCallback(`Adding remaining ${blocks.length} blocks in ${chunks.length} batches...`);
   }
   
+  signal?.throwIfAborted();
+  
   // Add remaining blocks in batches
   for (let i = 0; i < chunks.length; i++) {
     const chunk = chunks[i];
@@ -340,8 +494,11 @@ export async function addBlocksToPage(pageId, blocks, authToken, progressCallbac
       throw new Error(`Notion API error: ${errorData.message || response.statusText}`);
     }
     
+    const data = await response.json();
+    blockIds.push(...data.results.map(block => block.id));
+    
     if (progressCallback) {
-      progressCallback(`Added batch ${i + 1}/${chunks.length} (${chunk.length} blocks)...`);
+      progressCallback(`Added batch ${i + 1}/${chunks.length} (${chunk.length} blocks)...`, i + 1, chunks.length);
     }
     
     // Add a small delay between requests to avoid rate limiting
@@ -349,5 +506,59 @@ export async function addBlocksToPage(pageId, blocks, authToken, progressCallbac
       await new Promise(resolve => setTimeout(resolve, 500));
     }
   }
+  
+  return blockIds;
+}
+
+/**
+ * Archive a Notion page (moves it to the trash, from where it can be restored)
+ * @param {string} pageId - Page ID
+ * @param {string} authToken - Notion API auth token
+ * @returns {Promise<void>}
+ */
+export async function archivePage(pageId, authToken) {
+  const response = await fetch(`${NOTION_API_BASE}/pages/${pageId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${authToken}`,
+      'Content-Type': 'application/json',
+      'Notion-Version': NOTION_API_VERSION
+    },
+    body: JSON.stringify({ archived: true })
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(`Notion API error: ${errorData.message || response.statusText}`);
+  }
+}
+
+/**
+ * Delete blocks from a Notion page
+ * @param {string[]} blockIds - Block IDs
+ * @param {string} authToken - Notion API auth token
+ * @param {Function} progressCallback - Optional callback for progress updates
+ * @returns {Promise<void>}
+ */
+export async function deleteBlocks(blockIds, authToken, progressCallback = null) {
+  for (let i = 0; i < blockIds.length; i++) {
+    const response = await fetch(`${NOTION_API_BASE}/blocks/${blockIds[i]}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${authToken}`,
+        'Notion-Version': NOTION_API_VERSION
+      }
+    });
+    
+    // A block that is already deleted doesn't need deleting
+    if (!response.ok && response.status !== 404) {
+      const errorData = await response.json();
+      throw new Error(`Notion API error: ${errorData.message || response.statusText}`);
+    }
+    
+    if (progressCallback && (i + 1) % 20 === 0) {
+      progressCallback(`Deleted ${i + 1}/${blockIds.length} blocks...`);
+    }
+  }
 }
 
@@ -0,0 +1,320 @@
+// Pipeline engine module
+// Runs the steps of a chapter run in order. Every step registers itself with a declaration of
+// what it needs and what happens when it fails, instead of being wired into the run by hand:
+//
+// - id, name: step ID (also its key in the run options' `actions`) and name for messages
+// - inputs, outputs: names of the data the step reads and makes (e.g. 'processedContent'). The data
+//   itself is kept in storage by the steps; the engine uses the names to find dependencies
+// - dependsOn: IDs of earlier steps the step also depends on, e.g. for the browser tab they leave open
+// - retry: { attempts, delayMs } - how often the step is tried before it fails (default: once)
+// - onFailure: 'stop' (skip the rest of the chapter), 'skipDependents' (skip the steps that depend
+//   on it) or 'continue' (run the other steps as if it had succeeded)
+// - checkpoint: the step only runs when a selected step depends on it, and is left out of run summaries
+// - isSelected(options): whether the step is part of a run (default: options.actions[id])
+// - run(context): does the work; may return haltPipeline(), pausePipeline() or { artifacts, report }:
+//   the pages, sources and other things it created, and a report of how the work went (e.g. which
+//   sections the AI processed); both are kept with the step state for the run history
+//
+// Every step gets its own copy of the run context with a reportProgress(label, current, total)
+// function for sub-progress (e.g. "AI request 3/8"), and a statusCallback that also keeps the
+// step's last message. When the context's `signal` is aborted, the running step is expected to
+// stop at its next safe point and throw; the engine then cancels the rest of the run
+//
+// A step depends on the selected steps registered before it that make one of its inputs, and
+// on its dependsOn steps when they are selected. Steps run in the order they were registered
+
+const steps = new Map();
+
+// Step statuses that are final
+const FINISHED_STEP_STATUSES = ['done', 'failed', 'skipped', 'cancelled'];
+
+/**
+ * Register a pipeline step (see the top of this module for the declaration)
+ * @param {Object} step - Step declaration
+ */
+export function registerPipelineStep(step) {
+  if (steps.has(step.id)) {
+    throw new Error(`Pipeline step "${step.id}" is already registered`);
+  }
+  const unknownDependency = (step.dependsOn || []).find(id => !steps.has(id));
+  if (unknownDependency) {
+    throw new Error(`Pipeline step "${step.id}" depends on "${unknownDependency}", which must be registered first`);
+  }
+  
+  steps.set(step.id, {
+    inputs: [],
+    outputs: [],
+    dependsOn: [],
+    retry: { attempts: 1, delayMs: 0 },
+    onFailure: 'continue',
+    checkpoint: false,
+    isSelected: options => !!options.actions[step.id],
+    ...step
+  });
+}
+
+/**
+ * Get a registered pipeline step
+ * @param {string} id - Step ID
+ * @returns {Object|undefined} Step declaration
+ */
+export function getPipelineStep(id) {
+  return steps.get(id);
+}
+
+/**
+ * Result of a step that ends the chapter early without an error, e.g. when there is nothing new to send
+ * @param {string} label - Why the chapter ended, shown in the progress list
+ * @returns {Object} Step result
+ */
+export function haltPipeline(label) {
+  return { halt: label };
+}
+
+/**
+ * Result of a step that waits until the run is continued with resumePausedStep
+ * @param {string} label - What the run waits for, shown in the progress list
+ * @returns {Object} Step result
+ */
+export function pausePipeline(label) {
+  return { pause: label };
+}
+
+/**
+ * Find the steps a step depends on among the steps of a run
+ * @param {Object} step - Step declaration
+ * @param {string[]} stepIds - IDs of the steps in the run, in order
+ * @returns {string[]} IDs of the steps it depends on
+ */
+function getDependencies(step, stepIds) {
+  const earlierIds = stepIds.slice(0, stepIds.indexOf(step.id));
+  return earlierIds.filter(id => step.dependsOn.includes(id) ||
+    steps.get(id).outputs.some(output => step.inputs.includes(output)));
+}
+
+/**
+ * Plan the steps of a run from the run options
+ * @param {Object} options - Run options (see createPipelineJob in pipeline_job.js)
+ * @returns {string[]} IDs of the steps to run, in order
+ */
+export function planPipeline(options) {
+  const selectedIds = [...steps.values()].filter(step => step.isSelected(options)).map(step => step.id);
+  
+  // Leave out checkpoints that no selected step depends on
+  return selectedIds.filter(id => !steps.get(id).checkpoint ||
+    selectedIds.some(otherId => getDependencies(steps.get(otherId), selectedIds).includes(id)));
+}
+
+/**
+ * Create the state of the steps of a run, kept with the run so it can be resumed
+ * @param {string[]} stepIds - Step IDs from planPipeline
+ * @returns {Object[]} Step states: { id, status, attempts, error, message, progress, startedAt, finishedAt, artifacts, report }
+ */
+export function createStepStates(stepIds) {
+  return stepIds.map(id => ({
+    id,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    message: null,
+    progress: null,
+    startedAt: null,
+    finishedAt: null,
+    artifacts: null,
+    report: null
+  }));
+}
+
+/**
+ * Wait before the next attempt of a step, or until the run is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal|undefined} signal - Signal of the run
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Mark the pending steps of a run as cancelled
+ * @param {Object[]} stepStates - Step states
+ */
+function cancelPendingSteps(stepStates) {
+  stepStates
+    .filter(stepState => stepState.status === 'pending')
+    .forEach(stepState => { stepState.status = 'cancelled'; });
+}
+
+/**
+ * Mark the pending steps of a run as skipped because a step failed, like the steps that depend on it
+ * @param {Object[]} stepStates - Step states
+ * @param {Object} failedStep - Declaration of the failed step
+ */
+function skipPendingSteps(stepStates, failedStep) {
+  stepStates
+    .filter(stepState => stepState.status === 'pending')
+    .forEach(stepState => {
+      stepState.status = 'skipped';
+      stepState.error = `${failedStep.name} failed`;
+    });
+}
+
+/**
+ * Mark every step of a run that isn't finished as cancelled, including a running or waiting one
+ * @param {Object[]} stepStates - Step states
+ */
+export function cancelPipeline(stepStates) {
+  const now = new Date().toISOString();
+  stepStates
+    .filter(stepState => !FINISHED_STEP_STATUSES.includes(stepState.status))
+    .forEach(stepState => {
+      if (stepState.status !== 'pending') {
+        stepState.finishedAt = now;
+      }
+      stepState.status = 'cancelled';
+      stepState.progress = null;
+    });
+}
+
+/**
+ * Give a step its own run context, which keeps its last message and sub-progress in its state
+ * @param {Object} stepState - Step state
+ * @param {Object} context - Run context
+ * @param {Function} onUpdate - Called after the step state changes
+ * @returns {Object} Run context for the step
+ */
+function createStepContext(stepState, context, onUpdate) {
+  return {
+    ...context,
+    statusCallback: (message, type) => {
+      stepState.message = message;
+      context.statusCallback(message, type);
+    },
+    reportProgress: (label, current = null, total = null) => {
+      stepState.progress = { label, current, total };
+      onUpdate();
+    }
+  };
+}
+
+/**
+ * Run the steps that aren't finished yet
+ * A step that was running when the run was cut off is run again
+ * @param {Object[]} stepStates - Step states from createStepStates, updated as the steps run
+ * @param {Object} context - Run context passed to every step (see actions.js), with an optional AbortSignal `signal`
+ * @param {Function} onUpdate - Called after a step state changes, e.g. to save the run
+ * @returns {Promise<{status: string, label: string|null}>} 'completed', 'halted', 'paused' or 'cancelled', with the label of the step that halted or paused the run
+ */
+export async function runPipeline(stepStates, context, onUpdate) {
+  const stepIds = stepStates.map(stepState => stepState.id);
+  
+  for (const stepState of stepStates) {
+    if (FINISHED_STEP_STATUSES.includes(stepState.status) || stepState.status === 'waiting') {
+      continue;
+    }
+    if (context.signal?.aborted) {
+      cancelPipeline(stepStates);
+      await onUpdate();
+      return { status: 'cancelled', label: null };
+    }
+    const step = steps.get(stepState.id);
+    
+    // Skip the step when a step it depends on failed or was skipped
+    const blockedBy = getDependencies(step, stepIds)
+      .map(id => stepStates.find(otherState => otherState.id === id))
+      .find(otherState => otherState.status === 'skipped' ||
+        (otherState.status === 'failed' && steps.get(otherState.id).onFailure !== 'continue'));
+    if (blockedBy) {
+      stepState.status = 'skipped';
+      stepState.error = `${steps.get(blockedBy.id).name} ${blockedBy.status === 'failed' ? 'failed' : 'was skipped'}`;
+      await onUpdate();
+      continue;
+    }
+    
+    stepState.status = 'running';
+    stepState.startedAt = new Date().toISOString();
+    await onUpdate();
+    
+    const stepContext = createStepContext(stepState, context, onUpdate);
+    let result;
+    while (stepState.status === 'running') {
+      if (context.signal?.aborted) {
+        stepState.error = 'Cancelled';
+        break;
+      }
+      stepState.attempts++;
+      try {
+        result = await step.run(stepContext);
+        stepState.status = 'done';
+        stepState.error = null;
+        stepState.artifacts = (result && result.artifacts) || null;
+        stepState.report = (result && result.report) || null;
+      } catch (error) {
+        if (context.signal?.aborted) {
+          // The step stopped because the run was cancelled; it isn't retried
+          stepState.error = 'Cancelled';
+          break;
+        }
+        console.error(`Error in pipeline step "${step.name}":`, error);
+        stepState.error = error.message;
+        if (stepState.attempts < step.retry.attempts) {
+          context.statusCallback(`${step.name} failed (${error.message}), retrying (attempt ${stepState.attempts + 1} of ${step.retry.attempts})...`, 'info');
+          await onUpdate();
+          await delay(step.retry.delayMs, context.signal);
+        } else {
+          stepState.status = 'failed';
+          context.statusCallback(`${step.name} failed: ${error.message}`, 'error');
+        }
+      }
+    }
+    stepState.finishedAt = new Date().toISOString();
+    stepState.progress = null;
+    
+    if (context.signal?.aborted && stepState.status === 'running') {
+      cancelPipeline(stepStates);
+      await onUpdate();
+      return { status: 'cancelled', label: null };
+    }
+    if (stepState.status === 'failed' && step.onFailure === 'stop') {
+      skipPendingSteps(stepStates, step);
+      await onUpdate();
+      return { status: 'completed', label: null };
+    }
+    if (result && result.halt) {
+      cancelPendingSteps(stepStates);
+      await onUpdate();
+      return { status: 'halted', label: result.halt };
+    }
+    if (result && result.pause) {
+      stepState.status = 'waiting';
+      stepState.finishedAt = null;
+      await onUpdate();
+      return { status: 'paused', label: result.pause };
+    }
+    await onUpdate();
+  }
+  
+  return { status: 'completed', label: null };
+}
+
+/**
+ * Finish the step a run is paused on
+ * @param {Object[]} stepStates - Step states
+ * @param {boolean} resume - True to go on with the next steps, false to cancel them
+ */
+export function resumePausedStep(stepStates, resume) {
+  const waitingState = stepStates.find(stepState => stepState.status === 'waiting');
+  if (waitingState) {
+    waitingState.status = 'done';
+    waitingState.finishedAt = new Date().toISOString();
+  }
+  if (!resume) {
+    cancelPendingSteps(stepStates);
+  }
+}
@@ -0,0 +1,385 @@
+// Background pipeline job module
+// Runs the selected actions for each selected chapter in the background service worker, so a run
+// keeps going when the side panel is closed or reloaded. The job and the state of every step are
+// kept in chrome.storage.local: the side panel only observes them, and a restarted service
+// worker resumes the job at the step it was on (a step that was cut off is run again).
+// Cancelling a job aborts the signal in the run context, and the running step stops at a safe point
+
+import { loadSavedData } from './storage.js';
+import { getBook } from './library.js';
+import { planPipeline, createStepStates, runPipeline, resumePausedStep, cancelPipeline, getPipelineStep } from './pipeline.js';
+import { recordRun } from './history.js';
+import { loadBookProfile, applyBookProfile } from './profiles.js';
+import './actions.js';
+
+const JOB_STORAGE_KEY = 'pipelineJob';
+export const PIPELINE_WATCHDOG_ALARM = 'pipelineJobWatchdog';
+
+// Extension API calls keep the service worker alive; this one is made regularly while a job runs
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+// Chapter statuses that are final
+const FINISHED_CHAPTER_STATUSES = ['done', 'failed', 'halted', 'skipped', 'cancelled'];
+
+// ID of the job this service worker instance is running, so the same job isn't run twice
+let activeJobId = null;
+
+// Aborts the steps of the job this service worker instance is running
+let activeAbortController = null;
+
+/**
+ * Load the current (or last) pipeline job
+ * @returns {Promise<Object|null>} Job, or null if no job was started yet
+ */
+export async function loadPipelineJob() {
+  const result = await chrome.storage.local.get([JOB_STORAGE_KEY]);
+  return result[JOB_STORAGE_KEY] || null;
+}
+
+/**
+ * Save a pipeline job, which also notifies the side panel through chrome.storage.onChanged
+ * @param {Object} job - Pipeline job
+ * @returns {Promise<void>}
+ */
+function savePipelineJob(job) {
+  job.updatedAt = new Date().toISOString();
+  return chrome.storage.local.set({ [JOB_STORAGE_KEY]: job });
+}
+
+/**
+ * Check whether a job still has work to do (running, or paused for review)
+ * @param {Object|null} job - Pipeline job
+ * @returns {boolean} True while the job is active
+ */
+export function isPipelineJobActive(job) {
+  return !!job && (job.status === 'running' || job.status === 'awaitingReview');
+}
+
+/**
+ * Create a pipeline job
+ * @param {string} bookId - Library book ID
+ * @param {string[]} chapters - Chapters to run the actions for, in order
+ * @param {Object} options - Run options chosen in the side panel
+ * @param {Object} options.actions - Selected actions: processHighlights, copyToNotion, createGeminiQuiz, addToNotebooklm, generateFlashcards
+ * @param {boolean} options.syncNewOnly - Send only the highlights added since the last sync
+ * @param {boolean} options.pauseForReview - Pause after processing each chapter until the content is reviewed
+ * @param {boolean} options.cleanupHighlights - Run the cleanup stage (see cleanup.js)
+ * @param {Object} options.colorFilters - Included highlight colors as { color: included }
+ * @param {Object} options.colorLabels - Highlight color labels as { color: label }
+ * @param {string} options.citationStyle - Citation style, or an empty string for none
+ * @param {string|null} options.notebookName - NotebookLM notebook
+ * @param {string} options.promptTemplateId - Gemini prompt template (see prompts.js)
+ * @param {boolean} options.forceReprocess - Call the AI provider again instead of reusing cached results (see ai_cache.js)
+ * @returns {Object} Pipeline job
+ */
+export function createPipelineJob(bookId, chapters, options) {
+  const now = new Date().toISOString();
+  const stepIds = planPipeline(options);
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    bookId,
+    chapters,
+    options,
+    status: 'running',
+    message: { text: 'Starting...', type: 'info' },
+    chapterStates: chapters.map(chapter => ({
+      chapter,
+      status: 'pending',
+      label: 'Pending',
+      steps: createStepStates(stepIds)
+    })),
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+}
+
+/**
+ * Start a pipeline job in the background
+ * @param {Object} job - Job from createPipelineJob
+ * @returns {Promise<void>}
+ */
+export async function startPipelineJob(job) {
+  if (isPipelineJobActive(await loadPipelineJob())) {
+    throw new Error('Another run is still in progress');
+  }
+  await savePipelineJob(job);
+  runPipelineJob(job);
+}
+
+/**
+ * Resume the stored job if it was running when the service worker stopped
+ * Called when the service worker starts and by the watchdog alarm
+ * @returns {Promise<void>}
+ */
+export async function resumePipelineJob() {
+  const job = await loadPipelineJob();
+  if (job && job.status === 'running' && activeJobId !== job.id) {
+    console.log('Resuming pipeline job', job.id);
+    runPipelineJob(job);
+  }
+}
+
+/**
+ * Continue a job that is paused for review
+ * @param {boolean} resume - True to run the remaining actions of the chapter, false to skip the chapter
+ * @returns {Promise<void>}
+ */
+export async function continuePipelineJob(resume) {
+  const job = await loadPipelineJob();
+  if (!job || job.status !== 'awaitingReview') {
+    throw new Error('No run is waiting for review');
+  }
+  
+  const state = job.chapterStates.find(chapterState => chapterState.status === 'running');
+  if (state) {
+    resumePausedStep(state.steps, resume);
+    if (resume) {
+      state.label = 'Running...';
+    } else {
+      state.status = 'skipped';
+      state.label = 'Skipped after review';
+    }
+  }
+  job.status = 'running';
+  await savePipelineJob(job);
+  runPipelineJob(job);
+}
+
+/**
+ * Cancel the running job, or the job that is paused for review
+ * A running step stops at its next safe point, e.g. before it creates a Notion page or NotebookLM
+ * source; what was created before that is kept in the run history
+ * @returns {Promise<void>}
+ */
+export async function cancelPipelineJob() {
+  const job = await loadPipelineJob();
+  if (!isPipelineJobActive(job)) {
+    throw new Error('No run is in progress');
+  }
+  
+  // runPipelineJob finishes the job once the running step has stopped
+  if (activeJobId === job.id && activeAbortController) {
+    activeAbortController.abort();
+    return;
+  }
+  
+  // Nothing runs the job (it is paused for review, or waits for the watchdog), so finish it here
+  cancelChapters(job);
+  finishPipelineJob(job, true);
+  chrome.alarms.clear(PIPELINE_WATCHDOG_ALARM);
+  await savePipelineJob(job);
+  await recordRun(job, await getBook(job.bookId)).catch(error => console.error('Error saving the run history:', error));
+}
+
+/**
+ * Run a job from the first chapter that isn't finished
+ * @param {Object} job - Pipeline job
+ * @returns {Promise<void>}
+ */
+async function runPipelineJob(job) {
+  activeJobId = job.id;
+  activeAbortController = new AbortController();
+  const signal = activeAbortController.signal;
+  chrome.alarms.create(PIPELINE_WATCHDOG_ALARM, { periodInMinutes: 1 });
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), KEEPALIVE_INTERVAL_MS);
+  let book = null;
+  
+  try {
+    book = await getBook(job.bookId);
+    if (!book) {
+      throw new Error('The book was removed from the library');
+    }
+    const settings = applyBookProfile(await loadSavedData(), await loadBookProfile(job.bookId));
+    
+    for (let i = 0; i < job.chapterStates.length; i++) {
+      const state = job.chapterStates[i];
+      if (FINISHED_CHAPTER_STATUSES.includes(state.status)) {
+        continue;
+      }
+      
+      const prefix = job.chapters.length > 1 ? `[${i + 1}/${job.chapters.length}] ${state.chapter}: ` : '';
+      const statusCallback = (message, type) => {
+        job.message = { text: `${prefix}${message}`, type };
+        savePipelineJob(job);
+      };
+      
+      await runChapter(job, state, { book, chapter: state.chapter, options: job.options, settings, statusCallback, signal });
+      if (job.status === 'awaitingReview') {
+        return;
+      }
+      if (signal.aborted) {
+        break;
+      }
+    }
+    
+    if (signal.aborted) {
+      cancelChapters(job);
+    }
+    finishPipelineJob(job, signal.aborted);
+  } catch (error) {
+    console.error('Error running pipeline job:', error);
+    job.status = 'failed';
+    job.message = { text: `Error: ${error.message}`, type: 'error' };
+    job.finishedAt = new Date().toISOString();
+  } finally {
+    clearInterval(keepAlive);
+    if (activeJobId === job.id) {
+      activeJobId = null;
+      activeAbortController = null;
+    }
+    if (job.status !== 'running') {
+      chrome.alarms.clear(PIPELINE_WATCHDOG_ALARM);
+    }
+    await savePipelineJob(job);
+    
+    // Keep finished runs in the run history
+    if (!isPipelineJobActive(job)) {
+      await recordRun(job, book).catch(error => console.error('Error saving the run history:', error));
+    }
+  }
+}
+
+/**
+ * Run the pipeline steps of one chapter that aren't finished yet (see pipeline.js)
+ * @param {Object} job - Pipeline job
+ * @param {Object} state - Chapter state in the job
+ * @param {Object} run - Run context for the steps (see actions.js)
+ * @returns {Promise<void>}
+ */
+async function runChapter(job, state, run) {
+  state.status = 'running';
+  if (state.label === 'Pending') {
+    state.label = 'Running...';
+  }
+  
+  const result = await runPipeline(state.steps, run, () => savePipelineJob(job));
+  if (result.status === 'paused') {
+    job.status = 'awaitingReview';
+    state.label = result.label;
+  } else if (result.status === 'cancelled') {
+    finishChapter(state, 'cancelled', 'Cancelled');
+  } else if (result.status === 'halted') {
+    finishChapter(state, 'halted', result.label);
+  } else {
+    finishChapter(state);
+  }
+}
+
+/**
+ * Get the names of the steps of a chapter with a status
+ * @param {Object} state - Chapter state in the job
+ * @param {string} status - Step status
+ * @returns {string[]} Step names
+ */
+function getStepNames(state, status) {
+  return state.steps
+    .filter(stepState => stepState.status === status)
+    .map(stepState => getPipelineStep(stepState.id).name);
+}
+
+/**
+ * Mark a chapter as finished
+ * @param {Object} state - Chapter state in the job
+ * @param {string|null} status - Final status, or null to derive it from the steps
+ * @param {string|null} label - Progress label, or null to derive it from the steps
+ */
+function finishChapter(state, status = null, label = null) {
+  const failed = getStepNames(state, 'failed');
+  const skipped = getStepNames(state, 'skipped');
+  state.status = status || (failed.length > 0 ? 'failed' : 'done');
+  if (label) {
+    state.label = label;
+  } else if (failed.length > 0) {
+    state.label = `Failed: ${failed.join(', ')}${skipped.length > 0 ? `; skipped: ${skipped.join(', ')}` : ''}`;
+  } else {
+    state.label = 'Done';
+  }
+}
+
+/**
+ * Mark the chapters of a cancelled job that aren't finished, and their steps, as cancelled
+ * @param {Object} job - Pipeline job
+ */
+function cancelChapters(job) {
+  job.chapterStates
+    .filter(state => !FINISHED_CHAPTER_STATUSES.includes(state.status))
+    .forEach(state => {
+      cancelPipeline(state.steps);
+      finishChapter(state, 'cancelled', 'Cancelled');
+    });
+}
+
+/**
+ * Get the IDs of the steps of a job that its summary reports on (every step except checkpoints)
+ * @param {Object} job - Pipeline job
+ * @returns {string[]} Step IDs
+ */
+function getSummaryStepIds(job) {
+  const stepIds = job.chapterStates.length > 0 ? job.chapterStates[0].steps.map(stepState => stepState.id) : [];
+  return stepIds.filter(id => !getPipelineStep(id).checkpoint);
+}
+
+/**
+ * Describe how often a step had a status across the chapters of a job
+ * @param {Object} job - Pipeline job
+ * @param {string} status - Step status
+ * @returns {string[]} Step names, with the number of chapters when the job has several
+ */
+function describeStepOutcomes(job, status) {
+  return getSummaryStepIds(job)
+    .map(id => {
+      const stepStates = job.chapterStates.map(state => state.steps.find(stepState => stepState.id === id));
+      const count = stepStates.filter(stepState => stepState.status === status).length;
+      const ran = stepStates.filter(stepState => ['done', 'failed', 'skipped'].includes(stepState.status)).length;
+      if (count === 0) {
+        return null;
+      }
+      const name = getPipelineStep(id).name;
+      return job.chapters.length > 1 ? `${name} (${count} of ${ran} chapters)` : name;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Mark a job as finished and write a summary of what succeeded, failed and was skipped
+ * @param {Object} job - Pipeline job
+ * @param {boolean} cancelled - True if the job was cancelled
+ */
+function finishPipelineJob(job, cancelled = false) {
+  const succeeded = describeStepOutcomes(job, 'done');
+  const failed = describeStepOutcomes(job, 'failed');
+  const skipped = describeStepOutcomes(job, 'skipped');
+  
+  // Chapters that ended early, e.g. with no new highlights or skipped after review
+  const endedEarly = job.chapterStates.filter(state => state.status === 'halted' || state.status === 'skipped');
+  const endedEarlyText = endedEarly.length > 0
+    ? `${[...new Set(endedEarly.map(state => state.label))].join(', ')}: ${endedEarly.length} chapter(s)`
+    : '';
+  
+  const parts = [];
+  if (succeeded.length > 0) parts.push(`Succeeded: ${succeeded.join(', ')}`);
+  if (failed.length > 0) parts.push(`Failed: ${failed.join(', ')}`);
+  if (skipped.length > 0) parts.push(`Skipped: ${skipped.join(', ')}`);
+  if (endedEarlyText) parts.push(endedEarlyText);
+  
+  if (cancelled) {
+    job.status = 'cancelled';
+    job.message = { text: `Cancelled${parts.length > 0 ? `. ${parts.join('. ')}` : ''}`, type: 'error' };
+  } else if (failed.length > 0 || skipped.length > 0) {
+    job.status = 'failed';
+    job.message = { text: `Finished with errors. ${parts.join('. ')}`, type: 'error' };
+  } else if (succeeded.length === 0) {
+    job.status = 'completed';
+    job.message = { text: `Nothing to do. ${endedEarlyText}`, type: 'success' };
+  } else {
+    const chaptersText = job.chapters.length > 1 ? ` for ${job.chapters.length - endedEarly.length} chapter(s)` : '';
+    const stepNames = getSummaryStepIds(job).map(id => getPipelineStep(id).name);
+    job.status = 'completed';
+    job.message = {
+      text: `Completed${chaptersText}: ${stepNames.join(', ')}${endedEarlyText ? `. ${endedEarlyText}` : ''}`,
+      type: 'success'
+    };
+  }
+  job.finishedAt = new Date().toISOString();
+}
@@ -1,22 +1,57 @@
 // Learning Workflow Extension - Main Popup Script
-import { extractChapters, extractBookTitle, parseKindleHighlights, fetchKindleHtml } from './kindle.js';
-import { extractNotionDatabaseId, getDatabaseDataSourceAndTitleProperty, convertMarkdownToNotionBlocks, createPageInDatabase } from './notion.js';
-import { exportToNotebooklm, createFlashcards } from './notebooklm.js';
-import { processHighlightsWithGemini } from './gemini.js';
-import { sendToGeminiChat } from './gemini_chat.js';
+import { parseKindleBook, filterHighlightsByColor, renderHighlightsMarkdown, fetchKindleHtml } from './kindle.js';
+import { parseClippings, groupClippingsIntoChapters, isClippingsFile } from './clippings.js';
+import { importFromKindleCloudReader } from './kindle_cloud_reader.js';
+import { CITATION_STYLES, createBookMetadata, formatBookCitation } from './citation.js';
 import { showStatus } from './utils.js';
-import { loadSavedData, saveKindleUrl, saveSelectedChapter, saveNotionConfig, saveNotebooklmUrl, saveGeminiApiKey, saveGeminiChatUrl, saveKindleFile, saveActionState, loadActionStates, saveNotebooksList, loadNotebooksList, saveSelectedNotebook, saveProcessedContent, loadProcessedContent } from './storage.js';
+import { loadSavedData, saveKindleUrl, saveSelectedChapters, saveNotionConfig, saveNotebooklmUrl, saveGeminiApiKey, saveGeminiChatUrl, saveActiveBookId, clearLegacyKindleFile, saveActionState, loadActionStates, saveNotebooksList, loadNotebooksList, saveSelectedNotebook, saveProcessedContent, loadProcessedContent, loadProcessedHighlights, saveColorFilters, saveColorLabels, saveCitationStyle, savePromptTemplates, savePromptTemplateId, saveLlmProvider } from './storage.js';
+import { createLibraryBook, saveBook, getBook, listBooks, deleteBook } from './library.js';
+import { cleanupHighlights, summarizeCleanupChanges } from './cleanup.js';
+import { getHighlightFingerprint } from './sync.js';
+import { parseTags, loadHighlightReviews, saveHighlightReview, applyHighlightReviews } from './review.js';
+import { renderMarkdownPreview } from './markdown_preview.js';
+import { loadPipelineJob, isPipelineJobActive } from './pipeline_job.js';
+import { getPipelineStep } from './pipeline.js';
+import { loadRunHistory, describeArtifacts, filterRuns, exportRunsAsJson } from './history.js';
+import { canUndoRun } from './undo.js';
+import { loadBookProfile, saveBookProfile, removeBookProfile } from './profiles.js';
+import { DEFAULT_LLM_PROVIDER, getLlmProvider } from './llm.js';
+import { SECTION_OUTCOME_LABELS, summarizeSectionOutcomes } from './gemini.js';
+import { listAiCache, removeAiCacheEntries } from './ai_cache.js';
+import { checkFidelity, summarizeFidelity } from './fidelity.js';
+import { DEFAULT_PROMPT_TEMPLATE_ID, PROMPT_VARIABLES, listPromptTemplates, findPromptTemplate, createPromptTemplate, updatePromptTemplate, createPromptVariables, renderPromptTemplate } from './prompts.js';
 
 document.addEventListener('DOMContentLoaded', function() {
   // DOM element references
-  const chapterSelect = document.getElementById('chapterSelect');
+  const chapterList = document.getElementById('chapterList');
+  const selectAllChapters = document.getElementById('selectAllChapters');
   const chapterSelectionGroup = document.getElementById('chapterSelectionGroup');
+  const cleanupHighlightsCheckbox = document.getElementById('cleanupHighlights');
+  const cleanupSummary = document.getElementById('cleanupSummary');
+  const cleanupChangesList = document.getElementById('cleanupChangesList');
   const step0Status = document.getElementById('step0Status');
   const kindleFileInput = document.getElementById('kindleFileInput');
   const selectedFileName = document.getElementById('selectedFileName');
+  const importCloudReaderBtn = document.getElementById('importCloudReaderBtn');
+  
+  // My Clippings.txt elements
+  const clippingsGroup = document.getElementById('clippingsGroup');
+  const clippingsRangeSizeInput = document.getElementById('clippingsRangeSizeInput');
+  const clippingsTocInput = document.getElementById('clippingsTocInput');
+  const applyClippingsGroupingBtn = document.getElementById('applyClippingsGroupingBtn');
   const step1Status = document.getElementById('step1Status');
   const step2Status = document.getElementById('step2Status');
   const performActionsBtn = document.getElementById('performActionsBtn');
+  const cancelActionsBtn = document.getElementById('cancelActionsBtn');
+  const chapterProgressList = document.getElementById('chapterProgressList');
+  
+  // Book profile elements
+  const bookProfileGroup = document.getElementById('bookProfileGroup');
+  const profileNotionDatabaseUrlInput = document.getElementById('profileNotionDatabaseUrl');
+  const profilePromptInstructionsInput = document.getElementById('profilePromptInstructions');
+  const bookProfileInfo = document.getElementById('bookProfileInfo');
+  const saveBookProfileBtn = document.getElementById('saveBookProfileBtn');
+  const removeBookProfileBtn = document.getElementById('removeBookProfileBtn');
   
   // Notebook selection elements
   const notebookSelect = document.getElementById('notebookSelect');
@@ -31,25 +66,145 @@ document.addEventListener('DOMContentLoaded', function() {
   const actionAddToNotebooklm = document.getElementById('actionAddToNotebooklm');
   const actionGenerateFlashcards = document.getElementById('actionGenerateFlashcards');
   const actionCreateGeminiQuiz = document.getElementById('actionCreateGeminiQuiz');
+  const syncNewOnly = document.getElementById('syncNewOnly');
+  const pauseForReview = document.getElementById('pauseForReview');
+  const forceReprocess = document.getElementById('forceReprocess');
+  const promptTemplateChoice = document.getElementById('promptTemplateChoice');
+  
+  // Action checkboxes by pipeline action; their IDs are also the keys of their saved state
+  const ACTION_CHECKBOXES = {
+    processHighlights: actionProcessHighlights,
+    copyToNotion: actionCopyToNotion,
+    createGeminiQuiz: actionCreateGeminiQuiz,
+    addToNotebooklm: actionAddToNotebooklm,
+    generateFlashcards: actionGenerateFlashcards
+  };
+  
+  // Processed content editor elements (Step 5)
+  const processedContentInfo = document.getElementById('processedContentInfo');
+  const processedContentEditor = document.getElementById('processedContentEditor');
+  const processedContentPreview = document.getElementById('processedContentPreview');
+  const contentReviewActions = document.getElementById('contentReviewActions');
+  const resumeActionsBtn = document.getElementById('resumeActionsBtn');
+  const skipChapterBtn = document.getElementById('skipChapterBtn');
+  const processedContentStatus = document.getElementById('processedContentStatus');
+  
+  // Highlight color filter checkboxes and label inputs (keyed by data-color)
+  const colorFilterCheckboxes = document.querySelectorAll('.color-filter');
+  const colorLabelInputs = document.querySelectorAll('.color-label-input');
   
   // Config tab elements
   const configGeminiApiKeyInput = document.getElementById('configGeminiApiKey');
   const configNotionAuthTokenInput = document.getElementById('configNotionAuthToken');
   const configNotionDatabaseUrlInput = document.getElementById('configNotionDatabaseUrl');
   const configGeminiChatUrlInput = document.getElementById('configGeminiChatUrl');
+  const configCitationStyleSelect = document.getElementById('configCitationStyle');
+  const configLlmProviderSelect = document.getElementById('configLlmProvider');
+  const llmBaseUrlGroup = document.getElementById('llmBaseUrlGroup');
+  const configLlmBaseUrlInput = document.getElementById('configLlmBaseUrl');
+  const llmApiKeyGroup = document.getElementById('llmApiKeyGroup');
+  const configLlmApiKeyInput = document.getElementById('configLlmApiKey');
+  const configLlmModelInput = document.getElementById('configLlmModel');
+  const configLlmTemperatureInput = document.getElementById('configLlmTemperature');
+  const configLlmMaxTokensInput = document.getElementById('configLlmMaxTokens');
+  const configLlmConcurrencyInput = document.getElementById('configLlmConcurrency');
+  const configLlmInputTokenBudgetInput = document.getElementById('configLlmInputTokenBudget');
+  const configLlmOutputTokenBudgetInput = document.getElementById('configLlmOutputTokenBudget');
   const saveConfigBtn = document.getElementById('saveConfigBtn');
   const configStatus = document.getElementById('configStatus');
   
+  // Prompt template editor elements (Config tab)
+  const promptTemplateSelect = document.getElementById('promptTemplateSelect');
+  const promptTemplateNameInput = document.getElementById('promptTemplateName');
+  const promptTemplateTextInput = document.getElementById('promptTemplateText');
+  const promptVariablesHelp = document.getElementById('promptVariablesHelp');
+  const savePromptTemplateBtn = document.getElementById('savePromptTemplateBtn');
+  const savePromptTemplateAsNewBtn = document.getElementById('savePromptTemplateAsNewBtn');
+  const deletePromptTemplateBtn = document.getElementById('deletePromptTemplateBtn');
+  const promptTemplatePreview = document.getElementById('promptTemplatePreview');
+  const promptTemplateStatus = document.getElementById('promptTemplateStatus');
+  
+  // Library tab elements
+  const libraryList = document.getElementById('libraryList');
+  const libraryStatus = document.getElementById('libraryStatus');
+  const aiCacheBookFilter = document.getElementById('aiCacheBookFilter');
+  const clearAiCacheBtn = document.getElementById('clearAiCacheBtn');
+  const aiCacheList = document.getElementById('aiCacheList');
+  const aiCacheStatus = document.getElementById('aiCacheStatus');
+  
+  // Review tab elements
+  const reviewSummary = document.getElementById('reviewSummary');
+  const reviewList = document.getElementById('reviewList');
+  const reviewStatus = document.getElementById('reviewStatus');
+  
+  // History tab elements
+  const historyBookFilter = document.getElementById('historyBookFilter');
+  const historyStatusFilter = document.getElementById('historyStatusFilter');
+  const historySearch = document.getElementById('historySearch');
+  const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+  const historyList = document.getElementById('historyList');
+  const historyStatus = document.getElementById('historyStatus');
+  
   // Tab elements
   const tabButtons = document.querySelectorAll('.tab-btn');
-  const stepsTab = document.getElementById('stepsTab');
-  const configTab = document.getElementById('configTab');
+  const tabContents = document.querySelectorAll('.tab-content');
+  
+  // Where library books were imported from, as shown in the Library tab
+  const BOOK_SOURCE_LABELS = {
+    kindleHtml: 'Kindle export',
+    clippings: 'My Clippings.txt',
+    cloudReader: 'Kindle Cloud Reader'
+  };
   
-  // Store the full HTML content and chapters list
-  let cachedHtmlContent = null;
+  // Store the open library book (title, authors, chapters and highlight records) and chapters list
+  let currentBook = null;
   let chaptersList = [];
+  let lastClickedChapterIndex = null;
   let selectedNotebookName = null;
   
+  // How the AI handled each section of the processed content in Step 5, and what the fidelity
+  // check compares it with: the highlights the AI was given and the other text of its prompt
+  let processedChapter = null;
+  let processedSectionOutcomes = [];
+  let processedOriginalContent = null;
+  let processedKnownText = '';
+  // Pending preview update of an edit in Step 5 (see handleProcessedContentEdit)
+  let processedPreviewTimer = null;
+  
+  // Custom prompt templates (the built-in ones come from prompts.js)
+  let customPromptTemplates = [];
+  
+  // Settings of every AI provider, and the provider whose settings the Config tab shows
+  let llmProviderSettings = {};
+  let shownLlmProvider = DEFAULT_LLM_PROVIDER;
+  
+  // Runs loaded in the History tab, most recent first
+  let historyRuns = [];
+  
+  // Highlight records listed in the Review tab, by fingerprint
+  const reviewRecords = new Map();
+  
+  // Progress list classes for the chapter statuses of a pipeline job
+  const CHAPTER_PROGRESS_CLASSES = {
+    pending: 'pending',
+    running: 'running',
+    done: 'done',
+    halted: 'done',
+    skipped: 'done',
+    failed: 'failed',
+    cancelled: 'cancelled'
+  };
+  
+  // Progress list labels for the step statuses of a pipeline job
+  const STEP_PROGRESS_LABELS = {
+    pending: 'Pending',
+    waiting: 'Waiting for review',
+    done: 'Done',
+    failed: 'Failed',
+    skipped: 'Skipped',
+    cancelled: 'Cancelled'
+  };
+  
   // Initialize popup
   initializePopup();
   
@@ -63,10 +218,40 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Set up event listeners
-    chapterSelect.addEventListener('change', handleChapterSelection);
+    chapterList.addEventListener('click', handleChapterClick);
+    chapterList.addEventListener('change', handleChapterSelection);
+    selectAllChapters.addEventListener('change', handleSelectAllChapters);
     kindleFileInput.addEventListener('change', handleFileSelection);
+    importCloudReaderBtn.addEventListener('click', handleImportFromCloudReader);
+    libraryList.addEventListener('click', handleLibraryClick);
+    aiCacheBookFilter.addEventListener('change', renderAiCacheList);
+    aiCacheList.addEventListener('click', handleAiCacheClick);
+    clearAiCacheBtn.addEventListener('click', handleClearAiCache);
+    reviewList.addEventListener('change', handleReviewChange);
+    historyBookFilter.addEventListener('change', renderHistoryList);
+    historyStatusFilter.addEventListener('change', renderHistoryList);
+    historySearch.addEventListener('input', renderHistoryList);
+    exportHistoryBtn.addEventListener('click', handleExportHistory);
+    historyList.addEventListener('click', handleHistoryClick);
+    processedContentEditor.addEventListener('input', handleProcessedContentEdit);
+    resumeActionsBtn.addEventListener('click', () => finishContentReview(true));
+    skipChapterBtn.addEventListener('click', () => finishContentReview(false));
+    applyClippingsGroupingBtn.addEventListener('click', handleApplyClippingsGrouping);
+    saveBookProfileBtn.addEventListener('click', handleSaveBookProfile);
+    removeBookProfileBtn.addEventListener('click', handleRemoveBookProfile);
     performActionsBtn.addEventListener('click', handlePerformActions);
+    cancelActionsBtn.addEventListener('click', handleCancelActions);
     saveConfigBtn.addEventListener('click', handleSaveConfig);
+    configLlmProviderSelect.addEventListener('change', () => {
+      keepLlmProviderFields();
+      showLlmProviderSettings(configLlmProviderSelect.value);
+    });
+    promptTemplateSelect.addEventListener('change', () => showPromptTemplate(promptTemplateSelect.value));
+    promptTemplateNameInput.addEventListener('input', updatePromptPreview);
+    promptTemplateTextInput.addEventListener('input', updatePromptPreview);
+    savePromptTemplateBtn.addEventListener('click', handleSavePromptTemplate);
+    savePromptTemplateAsNewBtn.addEventListener('click', handleSavePromptTemplateAsNew);
+    deletePromptTemplateBtn.addEventListener('click', handleDeletePromptTemplate);
     notebookSelect.addEventListener('change', handleNotebookSelection);
     refetchNotebooksBtn.addEventListener('click', handleRefetchNotebooks);
     customNotebookInput.addEventListener('input', handleCustomNotebookInput);
@@ -87,43 +272,39 @@ document.addEventListener('DOMContentLoaded', function() {
     actionCreateGeminiQuiz.addEventListener('change', () => {
       saveActionState('actionCreateGeminiQuiz', actionCreateGeminiQuiz.checked);
     });
+    pauseForReview.addEventListener('change', () => {
+      saveActionState('pauseForReview', pauseForReview.checked);
+    });
+    syncNewOnly.addEventListener('change', () => {
+      saveActionState('syncNewOnly', syncNewOnly.checked);
+    });
+    promptTemplateChoice.addEventListener('change', () => {
+      savePromptTemplateId(promptTemplateChoice.value);
+    });
+    colorFilterCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        saveColorFilters(getColorFilters());
+        updateCleanupReport();
+      });
+    });
+    cleanupHighlightsCheckbox.addEventListener('change', () => {
+      saveActionState('cleanupHighlights', cleanupHighlightsCheckbox.checked);
+      updateCleanupReport();
+    });
+    
+    // Follow a run in the background service worker, including one started before the panel was opened
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+    loadPipelineJob().then(renderPipelineJob);
+    
+    // Show the processed content of the previous session in Step 5
+    Promise.all([loadProcessedContent(), loadProcessedHighlights()]).then(([content, processedHighlights]) => {
+      showProcessedContent(content, processedHighlights);
+    });
     
     // Load saved data
     loadSavedData().then(result => {
-      if (result.kindleFileName && result.kindleFileContent) {
-        selectedFileName.innerHTML = `✓ Loaded: <strong>${result.kindleFileName}</strong> <span class="file-status-note">(from previous session)</span>`;
-        selectedFileName.style.display = 'block';
-        selectedFileName.classList.add('file-loaded');
-      } else if (result.kindleFileName) {
-        selectedFileName.innerHTML = `Selected: <strong>${result.kindleFileName}</strong>`;
-        selectedFileName.style.display = 'block';
-      }
-      if (result.kindleFileContent) {
-        cachedHtmlContent = result.kindleFileContent;
-        // Extract chapters from cached content
-        if (cachedHtmlContent) {
-          const chapters = extractChapters(cachedHtmlContent);
-          if (chapters.length > 0) {
-            chaptersList = chapters;
-            chapterSelect.innerHTML = '<option value="">-- Select a chapter --</option>';
-            chapters.forEach((chapter) => {
-              const option = document.createElement('option');
-              option.value = chapter;
-              option.textContent = chapter;
-              chapterSelect.appendChild(option);
-            });
-            
-            // Restore saved chapter selection if it exists in the chapters
-            if (result.selectedChapter && chapters.includes(result.selectedChapter)) {
-              chapterSelect.value = result.selectedChapter;
-              chapterSelectionGroup.style.display = 'flex';
-            } else if (result.selectedChapter) {
-              // Saved chapter doesn't exist in this file, clear it
-              saveSelectedChapter('');
-            }
-          }
-        }
-      }
+      restoreActiveBook(result);
       if (result.notionPageUrl) {
         configNotionDatabaseUrlInput.value = result.notionPageUrl;
       }
@@ -136,6 +317,9 @@ document.addEventListener('DOMContentLoaded', function() {
       if (result.notionAuthToken) {
         configNotionAuthTokenInput.value = result.notionAuthToken;
       }
+      llmProviderSettings = result.llmProviderSettings || {};
+      configLlmProviderSelect.value = result.llmProvider || DEFAULT_LLM_PROVIDER;
+      showLlmProviderSettings(configLlmProviderSelect.value);
       
       // Load saved checkbox states
       if (result.actionProcessHighlights !== undefined) {
@@ -153,6 +337,35 @@ document.addEventListener('DOMContentLoaded', function() {
       if (result.actionCreateGeminiQuiz !== undefined) {
         actionCreateGeminiQuiz.checked = result.actionCreateGeminiQuiz;
       }
+      if (result.syncNewOnly !== undefined) {
+        syncNewOnly.checked = result.syncNewOnly;
+      }
+      if (result.pauseForReview !== undefined) {
+        pauseForReview.checked = result.pauseForReview;
+      }
+      if (result.cleanupHighlights !== undefined) {
+        cleanupHighlightsCheckbox.checked = result.cleanupHighlights;
+      }
+      
+      // Load saved color filters and labels
+      if (result.colorFilters) {
+        colorFilterCheckboxes.forEach(checkbox => {
+          checkbox.checked = result.colorFilters[checkbox.dataset.color] !== false;
+        });
+      }
+      if (result.colorLabels) {
+        colorLabelInputs.forEach(input => {
+          input.value = result.colorLabels[input.dataset.color] || '';
+        });
+      }
+      if (result.citationStyle) {
+        configCitationStyleSelect.value = result.citationStyle;
+      }
+      
+      // Load the custom prompt templates and the one chosen for runs
+      customPromptTemplates = result.promptTemplates || [];
+      populatePromptTemplateSelects(result.promptTemplateId || DEFAULT_PROMPT_TEMPLATE_ID);
+      showPromptTemplate(promptTemplateChoice.value);
       
       // Load notebooks list and populate dropdown
       loadNotebooksList().then(notebooks => {
@@ -186,16 +399,119 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Update tab content
-    if (tabName === 'steps') {
-      stepsTab.classList.add('active');
-      configTab.classList.remove('active');
+    tabContents.forEach(content => {
+      content.classList.toggle('active', content.id === `${tabName}Tab`);
+    });
+    
+    if (tabName === 'library') {
+      renderLibrary();
+      renderAiCache();
+    } else if (tabName === 'review') {
+      renderReview();
+    } else if (tabName === 'history') {
+      renderHistory();
     } else if (tabName === 'config') {
-      configTab.classList.add('active');
-      stepsTab.classList.remove('active');
+      updatePromptPreview();
+    }
+  }
+  
+  // Read the color include/exclude checkboxes as { color: included }
+  function getColorFilters() {
+    const colorFilters = {};
+    colorFilterCheckboxes.forEach(checkbox => {
+      colorFilters[checkbox.dataset.color] = checkbox.checked;
+    });
+    return colorFilters;
+  }
+  
+  // Read the action checkboxes of Step 4 as { action: selected }
+  function getSelectedActions() {
+    return Object.fromEntries(Object.entries(ACTION_CHECKBOXES).map(([action, checkbox]) => [action, checkbox.checked]));
+  }
+  
+  // Read the color labels from the Config tab as { color: label }, skipping empty ones
+  function getColorLabels() {
+    const colorLabels = {};
+    colorLabelInputs.forEach(input => {
+      const label = input.value.trim();
+      if (label) {
+        colorLabels[input.dataset.color] = label;
+      }
+    });
+    return colorLabels;
+  }
+  
+  // Keep the AI provider fields of the Config tab in the settings of the provider they belong to
+  function keepLlmProviderFields() {
+    const temperature = parseFloat(configLlmTemperatureInput.value);
+    const maxTokens = parseInt(configLlmMaxTokensInput.value, 10);
+    const concurrency = parseInt(configLlmConcurrencyInput.value, 10);
+    const inputTokenBudget = parseInt(configLlmInputTokenBudgetInput.value, 10);
+    const outputTokenBudget = parseInt(configLlmOutputTokenBudgetInput.value, 10);
+    llmProviderSettings = {
+      ...llmProviderSettings,
+      [shownLlmProvider]: {
+        baseUrl: configLlmBaseUrlInput.value.trim(),
+        apiKey: configLlmApiKeyInput.value.trim(),
+        model: configLlmModelInput.value.trim(),
+        temperature: Number.isNaN(temperature) ? null : temperature,
+        maxTokens: Number.isNaN(maxTokens) ? null : maxTokens,
+        concurrency: Number.isNaN(concurrency) ? null : Math.max(1, concurrency),
+        inputTokenBudget: Number.isNaN(inputTokenBudget) ? null : inputTokenBudget,
+        outputTokenBudget: Number.isNaN(outputTokenBudget) ? null : outputTokenBudget
+      }
+    };
+  }
+  
+  // Show the settings of an AI provider, with its defaults as placeholders
+  function showLlmProviderSettings(providerId) {
+    const provider = getLlmProvider(providerId);
+    const providerSettings = llmProviderSettings[providerId] || {};
+    shownLlmProvider = providerId;
+    
+    configLlmBaseUrlInput.value = providerSettings.baseUrl || '';
+    configLlmBaseUrlInput.placeholder = provider.defaults.baseUrl;
+    configLlmApiKeyInput.value = providerSettings.apiKey || '';
+    configLlmModelInput.value = providerSettings.model || '';
+    configLlmModelInput.placeholder = provider.defaults.model;
+    configLlmTemperatureInput.value = typeof providerSettings.temperature === 'number' ? providerSettings.temperature : '';
+    configLlmMaxTokensInput.value = typeof providerSettings.maxTokens === 'number' ? providerSettings.maxTokens : '';
+    configLlmConcurrencyInput.value = typeof providerSettings.concurrency === 'number' ? providerSettings.concurrency : '';
+    configLlmConcurrencyInput.placeholder = provider.defaults.concurrency;
+    configLlmInputTokenBudgetInput.value = typeof providerSettings.inputTokenBudget === 'number' ? providerSettings.inputTokenBudget : '';
+    configLlmInputTokenBudgetInput.placeholder = provider.defaults.inputTokenBudget;
+    configLlmOutputTokenBudgetInput.value = typeof providerSettings.outputTokenBudget === 'number' ? providerSettings.outputTokenBudget : '';
+    configLlmOutputTokenBudgetInput.placeholder = provider.defaults.outputTokenBudget;
+    
+    // Gemini has a fixed endpoint and its own API key field; Ollama needs no key
+    llmBaseUrlGroup.style.display = providerId === 'gemini' ? 'none' : 'flex';
+    llmApiKeyGroup.style.display = providerId === 'openai' ? 'flex' : 'none';
+  }
+  
+  // Save the AI provider chosen in the Config tab and the settings of every provider
+  function saveLlmSettings() {
+    keepLlmProviderFields();
+    saveLlmProvider(configLlmProviderSelect.value, llmProviderSettings);
+  }
+  
+  // Ask for access to the base URL of the chosen AI provider when the manifest doesn't grant it;
+  // must be called before anything else is awaited, while the click still counts as a user gesture
+  function requestLlmHostPermission() {
+    const baseUrl = configLlmProviderSelect.value === 'gemini' ? '' : configLlmBaseUrlInput.value.trim();
+    let origin;
+    try {
+      origin = baseUrl ? new URL(baseUrl).origin : null;
+    } catch (error) {
+      return Promise.reject(new Error(`Invalid base URL: ${baseUrl}`));
+    }
+    if (!origin) {
+      return Promise.resolve(true);
     }
+    return chrome.permissions.request({ origins: [`${origin}/*`] });
   }
   
   async function handleSaveConfig() {
+    const hostPermissionRequest = requestLlmHostPermission();
     const geminiApiKey = configGeminiApiKeyInput.value.trim();
     const geminiChatUrl = configGeminiChatUrlInput.value.trim();
     const notionAuthToken = configNotionAuthTokenInput.value.trim();
@@ -232,6 +548,14 @@ document.addEventListener('DOMContentLoaded', function() {
         }
       }
       
+      saveColorLabels(getColorLabels());
+      saveCitationStyle(configCitationStyleSelect.value);
+      saveLlmSettings();
+      
+      if (!await hostPermissionRequest) {
+        showStatus(configStatus, `Configuration saved, but the extension can't reach ${configLlmBaseUrlInput.value.trim()} without access to it`, 'error');
+        return;
+      }
       showStatus(configStatus, 'Configuration saved successfully!', 'success');
       
       // Clear status after 2 seconds
@@ -247,265 +571,1346 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  // Fill the template choice of Step 4 and the template editor list, keeping the chosen template
+  function populatePromptTemplateSelects(choiceId = promptTemplateChoice.value) {
+    const templates = listPromptTemplates(customPromptTemplates);
+    const editedId = promptTemplateSelect.value;
+    [promptTemplateChoice, promptTemplateSelect].forEach(select => {
+      select.innerHTML = '';
+      templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+        select.appendChild(option);
+      });
+    });
+    promptTemplateChoice.value = findPromptTemplate(customPromptTemplates, choiceId).id;
+    promptTemplateSelect.value = findPromptTemplate(customPromptTemplates, editedId).id;
+  }
+  
+  // Choose the template used by the next runs, e.g. from a book profile
+  function choosePromptTemplate(templateId) {
+    promptTemplateChoice.value = findPromptTemplate(customPromptTemplates, templateId).id;
+    savePromptTemplateId(promptTemplateChoice.value);
+  }
+  
+  // Load a template into the editor; built-in templates can only be saved as a new template
+  function showPromptTemplate(templateId) {
+    const template = findPromptTemplate(customPromptTemplates, templateId);
+    promptTemplateSelect.value = template.id;
+    promptTemplateNameInput.value = template.name;
+    promptTemplateTextInput.value = template.text;
+    savePromptTemplateBtn.disabled = Boolean(template.builtIn);
+    deletePromptTemplateBtn.disabled = Boolean(template.builtIn);
+    promptVariablesHelp.textContent = `Variables: ${Object.entries(PROMPT_VARIABLES).map(([name, description]) => `{{${name}}} (${description})`).join(', ')}. ${template.builtIn ? 'Built-in templates can\'t be changed; edit this one and click "Save as new" to keep your version.' : ''}`;
+    updatePromptPreview();
+  }
+  
+  // Render the edited template for a sample section: the first section of the first selected chapter
+  function updatePromptPreview() {
+    let bookMetadata = { title: 'How to Cook', authorsText: 'Jane Smith' };
+    let chapter = 'Chapter 1: Heat';
+    let section = 'Conduction';
+    let sectionContent = 'Heat moves from the pan to the food by conduction.\n> Preheat the pan first\n**Definition:** Convection is heat carried by a moving fluid.';
+    
+    const selectedChapters = getSelectedChapters();
+    if (currentBook && selectedChapters.length > 0) {
+      const records = filterHighlightsByColor(currentBook.records.filter(record => record.chapter === selectedChapters[0]), getColorFilters());
+      if (records.length > 0) {
+        const sectionRecords = records.filter(record => record.subsection === records[0].subsection).slice(0, 10);
+        bookMetadata = createBookMetadata(currentBook);
+        chapter = selectedChapters[0];
+        section = records[0].subsection || null;
+        sectionContent = renderHighlightsMarkdown(sectionRecords)
+          .split('\n')
+          .filter(line => !line.match(/^#{2,3}\s/))
+          .join('\n')
+          .trim();
+      }
+    }
+    
+    const variables = createPromptVariables({ bookMetadata, chapter, section, sectionContent, instructions: profilePromptInstructionsInput.value.trim() });
+    promptTemplatePreview.textContent = renderPromptTemplate(promptTemplateTextInput.value, variables);
+  }
+  
+  function handleSavePromptTemplate() {
+    const index = customPromptTemplates.findIndex(template => template.id === promptTemplateSelect.value);
+    if (index === -1) {
+      return;
+    }
+    
+    try {
+      customPromptTemplates[index] = updatePromptTemplate(customPromptTemplates[index], promptTemplateNameInput.value, promptTemplateTextInput.value);
+    } catch (error) {
+      showStatus(promptTemplateStatus, error.message, 'error');
+      return;
+    }
+    savePromptTemplates(customPromptTemplates);
+    populatePromptTemplateSelects();
+    showPromptTemplate(customPromptTemplates[index].id);
+    showStatus(promptTemplateStatus, `Template "${customPromptTemplates[index].name}" saved`, 'success');
+  }
+  
+  function handleSavePromptTemplateAsNew() {
+    let template;
+    try {
+      template = createPromptTemplate(promptTemplateNameInput.value, promptTemplateTextInput.value);
+    } catch (error) {
+      showStatus(promptTemplateStatus, error.message, 'error');
+      return;
+    }
+    customPromptTemplates = [...customPromptTemplates, template];
+    savePromptTemplates(customPromptTemplates);
+    populatePromptTemplateSelects();
+    showPromptTemplate(template.id);
+    showStatus(promptTemplateStatus, `Template "${template.name}" added. Choose it in Step 4 or save it in a book profile.`, 'success');
+  }
+  
+  function handleDeletePromptTemplate() {
+    const template = customPromptTemplates.find(customTemplate => customTemplate.id === promptTemplateSelect.value);
+    if (!template || !confirm(`Delete the prompt template "${template.name}"? Book profiles that use it go back to the default template.`)) {
+      return;
+    }
+    
+    customPromptTemplates = customPromptTemplates.filter(customTemplate => customTemplate.id !== template.id);
+    savePromptTemplates(customPromptTemplates);
+    if (promptTemplateChoice.value === template.id) {
+      choosePromptTemplate(DEFAULT_PROMPT_TEMPLATE_ID);
+    }
+    populatePromptTemplateSelects();
+    showPromptTemplate(DEFAULT_PROMPT_TEMPLATE_ID);
+    showStatus(promptTemplateStatus, `Template "${template.name}" deleted`, 'success');
+  }
+  
+  function populateChapterList(chapters, selectedChapters = []) {
+    chapterList.innerHTML = '';
+    lastClickedChapterIndex = null;
+    
+    chapters.forEach((chapter, index) => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'chapter-checkbox';
+      checkbox.value = chapter;
+      checkbox.dataset.index = index;
+      checkbox.checked = selectedChapters.includes(chapter);
+      
+      const text = document.createElement('span');
+      text.textContent = chapter;
+      
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      chapterList.appendChild(label);
+    });
+    
+    updateSelectAllState();
+    updateCleanupReport();
+  }
+  
+  function getChapterCheckboxes() {
+    return Array.from(chapterList.querySelectorAll('.chapter-checkbox'));
+  }
+  
+  function getSelectedChapters() {
+    return getChapterCheckboxes()
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value);
+  }
+  
+  function updateSelectAllState() {
+    const checkboxes = getChapterCheckboxes();
+    const checkedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+    selectAllChapters.checked = checkboxes.length > 0 && checkedCount === checkboxes.length;
+    selectAllChapters.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
+  }
+  
+  function handleChapterClick(event) {
+    const checkbox = event.target;
+    if (!checkbox.classList || !checkbox.classList.contains('chapter-checkbox')) {
+      return;
+    }
+    
+    const index = parseInt(checkbox.dataset.index, 10);
+    
+    // Shift-click applies the clicked state to every chapter between this one and the last one clicked
+    if (event.shiftKey && lastClickedChapterIndex !== null) {
+      const checkboxes = getChapterCheckboxes();
+      const start = Math.min(index, lastClickedChapterIndex);
+      const end = Math.max(index, lastClickedChapterIndex);
+      for (let i = start; i <= end; i++) {
+        checkboxes[i].checked = checkbox.checked;
+      }
+    }
+    
+    lastClickedChapterIndex = index;
+  }
+  
+  function handleSelectAllChapters() {
+    getChapterCheckboxes().forEach(checkbox => {
+      checkbox.checked = selectAllChapters.checked;
+    });
+    handleChapterSelection();
+  }
+  
   function handleChapterSelection() {
-    const selectedChapter = chapterSelect.value;
-    saveSelectedChapter(selectedChapter);
+    const selectedChapters = getSelectedChapters();
+    saveSelectedChapters(selectedChapters);
+    updateSelectAllState();
+    updateCleanupReport();
     
-    if (selectedChapter) {
-      showStatus(step1Status, `Chapter "${selectedChapter}" selected`, 'success');
+    if (selectedChapters.length === 1) {
+      showStatus(step1Status, `Chapter "${selectedChapters[0]}" selected`, 'success');
+    } else if (selectedChapters.length > 1) {
+      showStatus(step1Status, `${selectedChapters.length} chapters selected`, 'success');
     } else {
       showStatus(step1Status, '', '');
     }
   }
   
+  // Open the library book from the previous session. A Kindle HTML file saved in chrome.storage
+  // by earlier versions is moved into the library first
+  async function restoreActiveBook(result) {
+    // Older versions saved a single selectedChapter
+    const savedChapters = result.selectedChapters || (result.selectedChapter ? [result.selectedChapter] : []);
+    
+    try {
+      let book = await getBook(result.activeBookId);
+      
+      if (!book && result.kindleFileContent) {
+        const savedBooks = await addBooksToLibrary(parseBooksFromFile(result.kindleFileName, result.kindleFileContent));
+        book = savedBooks[0] || null;
+        clearLegacyKindleFile();
+      }
+      
+      if (book) {
+        openBook(book, 'from library', false, savedChapters);
+      } else if (result.activeBookId) {
+        // The book was removed from the library
+        saveActiveBookId(null);
+      }
+    } catch (error) {
+      console.error('Error opening book from library:', error);
+      showStatus(step0Status, `Could not open the library: ${error.message}`, 'error');
+    }
+  }
+  
+  // Show what the cleanup stage changes in the selected chapters, after the review choices
+  async function updateCleanupReport() {
+    const selectedChapters = getSelectedChapters();
+    if (!currentBook || !cleanupHighlightsCheckbox.checked || selectedChapters.length === 0) {
+      cleanupChangesList.innerHTML = '';
+      cleanupSummary.textContent = '';
+      return;
+    }
+    
+    const records = filterHighlightsByColor(
+      currentBook.records.filter(record => selectedChapters.includes(record.chapter)),
+      getColorFilters()
+    );
+    const reviews = await loadHighlightReviews(currentBook.id).catch(error => {
+      console.error('Error loading highlight reviews:', error);
+      return new Map();
+    });
+    const { changes } = cleanupHighlights(applyHighlightReviews(records, currentBook.id, reviews));
+    cleanupChangesList.innerHTML = '';
+    cleanupSummary.textContent = changes.length > 0
+      ? `Cleanup: ${summarizeCleanupChanges(changes)}`
+      : 'Cleanup: no fragmented or overlapping highlights found';
+    
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      item.className = `cleanup-change ${change.type}`;
+      item.textContent = selectedChapters.length > 1 ? `${change.chapter}: ${change.description}` : change.description;
+      cleanupChangesList.appendChild(item);
+    });
+  }
+  
   async function handleFileSelection(event) {
     const file = event.target.files[0];
     if (!file) {
-      selectedFileName.textContent = '';
-      selectedFileName.style.display = 'none';
-      cachedHtmlContent = null;
-      chaptersList = [];
-      chapterSelect.innerHTML = '<option value="">-- Select a chapter --</option>';
-      chapterSelectionGroup.style.display = 'none';
+      // Keep the open book; it is still in the library
       return;
     }
     
     // Validate file type
-    if (!file.name.toLowerCase().endsWith('.html') && !file.name.toLowerCase().endsWith('.htm')) {
-      showStatus(step0Status, 'Please select an HTML file', 'error');
+    const lowerCaseName = file.name.toLowerCase();
+    if (!lowerCaseName.endsWith('.html') && !lowerCaseName.endsWith('.htm') && !isClippingsFile(file.name)) {
+      showStatus(step0Status, 'Please select an HTML file or My Clippings.txt', 'error');
       kindleFileInput.value = '';
       return;
     }
     
-    selectedFileName.innerHTML = `✓ Selected: <strong>${file.name}</strong>`;
-    selectedFileName.style.display = 'block';
+    showSelectedFileName('Selected', file.name);
     selectedFileName.classList.remove('file-loaded');
     
     // Read file content
     try {
       showStatus(step0Status, 'Loading file...', 'info');
       const fileContent = await readFileAsText(file);
-      cachedHtmlContent = fileContent;
-      
-      // Save to storage
-      saveKindleFile(file.name, fileContent);
       
-      // Extract chapters and populate the dropdown in Step 2
-      const chapters = extractChapters(fileContent);
-      chaptersList = chapters;
-      
-      // Save currently selected chapter before repopulating
-      const previouslySelectedChapter = chapterSelect.value;
+      // Parse the books and add them to the library
+      const books = parseBooksFromFile(file.name, fileContent);
+      if (books.length === 0) {
+        throw new Error('No highlights found in the file');
+      }
+      const savedBooks = await addBooksToLibrary(books);
       
-      if (chapters.length > 0) {
-        chapterSelect.innerHTML = '<option value="">-- Select a chapter --</option>';
-        chapters.forEach((chapter) => {
-          const option = document.createElement('option');
-          option.value = chapter;
-          option.textContent = chapter;
-          chapterSelect.appendChild(option);
-        });
-        
-        // Restore previous selection if it exists in the new chapters
-        if (previouslySelectedChapter && chapters.includes(previouslySelectedChapter)) {
-          chapterSelect.value = previouslySelectedChapter;
-          saveSelectedChapter(previouslySelectedChapter);
-        } else {
-          // Clear selection if previous chapter doesn't exist in new file
-          chapterSelect.value = '';
-          saveSelectedChapter('');
-        }
-        
-        chapterSelectionGroup.style.display = 'flex';
-        
-        if (previouslySelectedChapter && chapters.includes(previouslySelectedChapter)) {
-          showStatus(step0Status, `File loaded! Found ${chapters.length} chapter(s). Previous selection preserved.`, 'success');
-        } else {
-          showStatus(step0Status, `File loaded! Found ${chapters.length} chapter(s). Select a chapter in Step 2.`, 'success');
-        }
-      } else {
-        chapterSelect.value = '';
-        saveSelectedChapter('');
-        showStatus(step0Status, 'File loaded, but no chapters found', 'error');
-        chapterSelectionGroup.style.display = 'none';
+      // Reopen the current book if the file has a newer copy of it, otherwise the first book
+      const book = savedBooks.find(savedBook => currentBook && savedBook.id === currentBook.id) || savedBooks[0];
+      openBook(book, file.name, true);
+      if (savedBooks.length > 1) {
+        showStatus(step0Status, `Added ${savedBooks.length} books to the library. Opened "${book.title}" with ${book.chapters.length} chapter(s); switch books in the Library tab.`, 'success');
       }
       
       // Clear status after 3 seconds
       setTimeout(() => {
         showStatus(step0Status, '', '');
       }, 3000);
-      
+    
     } catch (error) {
       console.error('Error reading file:', error);
       showStatus(step0Status, `Error reading file: ${error.message}`, 'error');
       kindleFileInput.value = '';
-      selectedFileName.textContent = '';
-      selectedFileName.style.display = 'none';
-      chapterSelectionGroup.style.display = 'none';
+      if (currentBook) {
+        openBook(currentBook, 'from library', false);
+      } else {
+        selectedFileName.textContent = '';
+        selectedFileName.style.display = 'none';
+        chapterSelectionGroup.style.display = 'none';
+      }
     }
   }
   
-  function readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = (e) => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
+  // Parse file content into library books. My Clippings.txt files can hold several books
+  function parseBooksFromFile(fileName, fileContent) {
+    if (isClippingsFile(fileName)) {
+      return parseClippings(fileContent).map(clippingsBook => createClippingsLibraryBook(clippingsBook, 'clippings', fileName));
+    }
+    
+    const book = parseKindleBook(fileContent);
+    if (book.records.length === 0) {
+      return [];
+    }
+    return [createLibraryBook(book, { source: 'kindleHtml', fileName })];
+  }
+  
+  // My Clippings.txt and Kindle Cloud Reader books have no chapters, so their highlights are
+  // grouped by location; the ungrouped clippings are kept so the grouping can be changed later
+  function createClippingsLibraryBook(clippingsBook, source, fileName) {
+    return createLibraryBook(groupClippingsIntoChapters(clippingsBook), { source, fileName, clippingsBook });
   }
   
-  async function processKindleHighlights(showStatusCallback) {
-    // Check if a file is selected or if we have cached content
-    if (!cachedHtmlContent && kindleFileInput.files.length === 0) {
-      showStatusCallback('Please select a Kindle highlights file first', 'error');
-      throw new Error('No file selected');
+  function regroupBook(book, grouping) {
+    const groupedBook = groupClippingsIntoChapters(book.clippingsBook, grouping);
+    return { ...book, chapters: groupedBook.chapters, records: groupedBook.records, grouping };
+  }
+  
+  // Save parsed books to the library. A re-imported clippings book keeps the chapter
+  // grouping chosen for its earlier import
+  async function addBooksToLibrary(books) {
+    const savedBooks = [];
+    for (const book of books) {
+      const existingBook = await getBook(book.id);
+      const grouping = book.grouping || (existingBook ? existingBook.grouping : null);
+      savedBooks.push(await saveBook(book.clippingsBook && grouping ? regroupBook(book, grouping) : book));
     }
-    
-    // Check if a chapter is selected
-    const selectedChapter = chapterSelect.value;
-    if (!selectedChapter) {
-      showStatusCallback('Please select a chapter first', 'error');
-      throw new Error('No chapter selected');
+    return savedBooks;
+  }
+  
+  // Show the selected file or loaded book above Step 2. Names come from files and imported
+  // books, so they are set as text rather than markup
+  function showSelectedFileName(label, name, note = null) {
+    const strong = document.createElement('strong');
+    strong.textContent = name;
+    selectedFileName.replaceChildren(`✓ ${label}: `, strong);
+    if (note) {
+      const noteSpan = document.createElement('span');
+      noteSpan.className = 'file-status-note';
+      noteSpan.textContent = `(${note})`;
+      selectedFileName.append(' ', noteSpan);
     }
+    selectedFileName.style.display = 'block';
+  }
+  
+  // Make a library book the current book and show its chapters in Step 2
+  function openBook(book, sourceNote, reportStatus, preferredChapters = null) {
+    currentBook = book;
+    saveActiveBookId(book.id);
     
-    showStatusCallback('Processing highlights...', 'info');
+    showSelectedFileName('Loaded', book.title, sourceNote);
+    selectedFileName.classList.add('file-loaded');
     
-    // Get HTML content from cached content or read from file input
-    let htmlContent = cachedHtmlContent;
-    if (!htmlContent && kindleFileInput.files.length > 0) {
-      const file = kindleFileInput.files[0];
-      htmlContent = await readFileAsText(file);
-      cachedHtmlContent = htmlContent;
-      saveKindleFile(file.name, htmlContent);
+    if (book.clippingsBook) {
+      const grouping = book.grouping || {};
+      clippingsRangeSizeInput.value = grouping.locationRangeSize || 500;
+      clippingsTocInput.value = grouping.tableOfContents || '';
+      clippingsGroup.style.display = 'flex';
+    } else {
+      clippingsGroup.style.display = 'none';
     }
     
-    if (!htmlContent) {
-      showStatusCallback('No file content available', 'error');
-      throw new Error('No file content available');
+    showBookChapters(reportStatus, preferredChapters);
+    openBookProfile(book, reportStatus);
+  }
+  
+  function closeBook() {
+    currentBook = null;
+    saveActiveBookId(null);
+    selectedFileName.textContent = '';
+    selectedFileName.style.display = 'none';
+    clippingsGroup.style.display = 'none';
+    bookProfileGroup.style.display = 'none';
+    showBookChapters(false);
+  }
+  
+  // Load the profile of a book and apply it to Steps 2 to 4 when the book was just loaded;
+  // a book restored with the panel keeps the choices saved since then
+  async function openBookProfile(book, applyProfile) {
+    bookProfileGroup.style.display = 'flex';
+    let profile = null;
+    try {
+      profile = await loadBookProfile(book.id);
+    } catch (error) {
+      console.error('Error loading book profile:', error);
     }
     
-    // Parse the HTML and extract highlights for the selected chapter
-    let processedContent = parseKindleHighlights(htmlContent, selectedChapter);
+    // Another book may have been opened in the meantime
+    if (!currentBook || currentBook.id !== book.id) {
+      return;
+    }
     
-    if (!processedContent || processedContent.trim() === '') {
-      showStatusCallback('No highlights found for the selected chapter', 'error');
-      throw new Error('No highlights found');
+    showBookProfile(profile);
+    if (profile && applyProfile) {
+      applyBookProfileToPanel(profile);
+    }
+  }
+  
+  // Show the fields of a book profile, or empty fields when the book has none
+  function showBookProfile(profile) {
+    profileNotionDatabaseUrlInput.value = profile ? profile.notionDatabaseUrl || '' : '';
+    profilePromptInstructionsInput.value = profile ? profile.promptInstructions || '' : '';
+    bookProfileInfo.textContent = profile
+      ? `Profile saved ${new Date(profile.updatedAt).toLocaleString()}`
+      : 'No profile for this book yet; the settings below and in the Config tab are used.';
+    removeBookProfileBtn.style.display = profile ? 'inline-block' : 'none';
+  }
+  
+  // Select the notebook, colors, actions and prompt template of a book profile, and save them like manual choices
+  function applyBookProfileToPanel(profile) {
+    if (profile.notebookName) {
+      selectNotebook(profile.notebookName);
     }
     
-    // Process with Gemini API if API key is provided
-    const geminiApiKey = configGeminiApiKeyInput.value.trim();
-    if (geminiApiKey) {
-      saveGeminiApiKey(geminiApiKey);
-      showStatusCallback('Processing highlights with Gemini AI...', 'info');
-      
-      try {
-        // Progress callback to show which section is being processed
-        const progressCallback = (sectionName, current, total) => {
-          showStatusCallback(`Processing section "${sectionName}" (${current}/${total})...`, 'info');
-        };
-        
-        processedContent = await processHighlightsWithGemini(processedContent, geminiApiKey, progressCallback);
-        showStatusCallback('Highlights processed with Gemini AI!', 'success');
-      } catch (error) {
-        console.error('Error processing with Gemini:', error);
-        showStatusCallback(`Gemini API error: ${error.message}. Using original highlights.`, 'error');
-        // Continue with original content if Gemini fails
-      }
+    if (profile.colorFilters) {
+      colorFilterCheckboxes.forEach(checkbox => {
+        checkbox.checked = profile.colorFilters[checkbox.dataset.color] !== false;
+      });
+      saveColorFilters(getColorFilters());
+      updateCleanupReport();
     }
     
-    // Save to storage
-    saveProcessedContent(processedContent);
+    if (profile.actions) {
+      Object.entries(ACTION_CHECKBOXES).forEach(([action, checkbox]) => {
+        checkbox.checked = Boolean(profile.actions[action]);
+        saveActionState(checkbox.id, checkbox.checked);
+      });
+    }
     
-    if (geminiApiKey) {
-      showStatusCallback('Highlights processed with AI!', 'success');
+    if (profile.promptTemplateId) {
+      choosePromptTemplate(profile.promptTemplateId);
+    }
+  }
+  
+  // Select a notebook in Step 3, using the custom notebook input when it isn't in the list
+  function selectNotebook(notebookName) {
+    const listed = [...notebookSelect.options].some(option => option.value === notebookName && option.value !== '__CUSTOM__');
+    if (listed) {
+      notebookSelect.value = notebookName;
+      customNotebookGroup.style.display = 'none';
+      customNotebookInput.value = '';
     } else {
-      showStatusCallback('Highlights processed!', 'success');
+      notebookSelect.value = '__CUSTOM__';
+      customNotebookGroup.style.display = 'flex';
+      customNotebookInput.value = notebookName;
     }
-    
-    return processedContent;
+    selectedNotebookName = notebookName;
+    saveSelectedNotebook(notebookName);
   }
   
-  async function copyToNotion(showStatusCallback) {
-    const databaseUrl = configNotionDatabaseUrlInput.value.trim();
-    const authToken = configNotionAuthTokenInput.value.trim();
-    
-    if (!databaseUrl) {
-      showStatusCallback('Please enter a Notion database URL in the Config tab', 'error');
-      throw new Error('Notion database URL required');
+  async function handleSaveBookProfile() {
+    if (!currentBook) {
+      return;
     }
     
-    if (!authToken) {
-      showStatusCallback('Please enter a Notion integration token in the Config tab', 'error');
-      throw new Error('Notion auth token required');
+    try {
+      const profile = await saveBookProfile(currentBook, {
+        notebookName: selectedNotebookName,
+        notionDatabaseUrl: profileNotionDatabaseUrlInput.value,
+        promptInstructions: profilePromptInstructionsInput.value,
+        colorFilters: getColorFilters(),
+        actions: getSelectedActions(),
+        promptTemplateId: promptTemplateChoice.value
+      });
+      showBookProfile(profile);
+      showStatus(step0Status, `Profile saved for "${currentBook.title}". It is applied whenever the book is loaded.`, 'success');
+    } catch (error) {
+      console.error('Error saving book profile:', error);
+      showStatus(step0Status, `Could not save the profile: ${error.message}`, 'error');
     }
-    
-    // Check if a chapter is selected
-    const selectedChapter = chapterSelect.value;
-    if (!selectedChapter) {
-      showStatusCallback('Please select a chapter first in Step 2', 'error');
-      throw new Error('No chapter selected');
+  }
+  
+  async function handleRemoveBookProfile() {
+    if (!currentBook) {
+      return;
     }
     
-    saveNotionConfig(databaseUrl, authToken);
-    
-    showStatusCallback('Creating page in Notion...', 'info');
+    try {
+      await removeBookProfile(currentBook.id);
+      showBookProfile(null);
+      showStatus(step0Status, `Profile removed for "${currentBook.title}"`, 'success');
+    } catch (error) {
+      console.error('Error removing book profile:', error);
+      showStatus(step0Status, `Could not remove the profile: ${error.message}`, 'error');
+    }
+  }
+  
+  // Show the chapters of the current book in Step 2, keeping the selected chapters that still exist
+  function showBookChapters(reportStatus, preferredChapters = null) {
+    const chapters = currentBook ? currentBook.chapters : [];
+    chaptersList = chapters;
     
-    // Get content from storage
-    const content = await loadProcessedContent();
+    const preservedChapters = (preferredChapters || getSelectedChapters()).filter(chapter => chapters.includes(chapter));
     
-    if (!content) {
-      showStatusCallback('No content found. Process highlights first.', 'error');
-      throw new Error('No content found');
+    if (chapters.length > 0) {
+      populateChapterList(chapters, preservedChapters);
+      saveSelectedChapters(preservedChapters);
+      
+      chapterSelectionGroup.style.display = 'flex';
+      
+      if (!reportStatus) {
+        return;
+      }
+      if (preservedChapters.length > 0) {
+        showStatus(step0Status, `"${currentBook.title}" loaded! Found ${chapters.length} chapter(s). Previous selection preserved.`, 'success');
+      } else {
+        showStatus(step0Status, `"${currentBook.title}" loaded! Found ${chapters.length} chapter(s). Select chapters in Step 2.`, 'success');
+      }
+    } else {
+      populateChapterList([]);
+      saveSelectedChapters([]);
+      chapterSelectionGroup.style.display = 'none';
+      if (reportStatus) {
+        showStatus(step0Status, 'Book loaded, but no chapters found', 'error');
+      }
     }
-    
-    // Extract database ID from Notion URL
-    const databaseId = extractNotionDatabaseId(databaseUrl);
-    if (!databaseId) {
-      showStatusCallback('Invalid Notion database URL format', 'error');
-      throw new Error('Invalid Notion database URL');
+  }
+  
+  async function handleApplyClippingsGrouping() {
+    if (!currentBook || !currentBook.clippingsBook) {
+      return;
     }
     
-    // Get book title from cached HTML
-    const bookTitle = extractBookTitle(cachedHtmlContent);
-    if (!bookTitle) {
-      showStatusCallback('Could not extract book title. Please reload file in Step 1.', 'error');
-      throw new Error('Could not extract book title');
+    const grouping = {
+      locationRangeSize: parseInt(clippingsRangeSizeInput.value, 10) || 500,
+      tableOfContents: clippingsTocInput.value.trim()
+    };
+    
+    try {
+      currentBook = await saveBook(regroupBook(currentBook, grouping));
+      showBookChapters(false);
+      showStatus(step0Status, `Grouped highlights into ${currentBook.chapters.length} chapter(s)`, 'success');
+    } catch (error) {
+      console.error('Error saving chapter grouping:', error);
+      showStatus(step0Status, `Error: ${error.message}`, 'error');
     }
+  }
+  
+  async function handleImportFromCloudReader() {
+    importCloudReaderBtn.disabled = true;
+    const statusCallback = (message, type) => showStatus(step0Status, message, type);
     
-    // Create page title: "Chapter Name"
-    const pageTitle = selectedChapter;
+    try {
+      const scrapedBook = await importFromKindleCloudReader(statusCallback);
+      if (!scrapedBook) {
+        return;
+      }
+      
+      if (scrapedBook.clippings.length === 0) {
+        showStatus(step0Status, `No highlights found for "${scrapedBook.title}"`, 'error');
+        return;
+      }
+      
+      // Add the scraped book to the library so it is available in later sessions
+      const book = createClippingsLibraryBook(scrapedBook, 'cloudReader', `${scrapedBook.title} (Kindle Cloud Reader)`);
+      const [savedBook] = await addBooksToLibrary([book]);
+      kindleFileInput.value = '';
+      
+      openBook(savedBook, 'from Kindle Cloud Reader', true);
     
-    // Fetch database to get data source and find the title property name
-    showStatusCallback('Fetching database schema...', 'info');
-    const { dataSourceId, titlePropertyName, bookNamePropertyName, bookNamePropertyType } = await getDatabaseDataSourceAndTitleProperty(databaseId, authToken);
+    } catch (error) {
+      console.error('Error importing from Kindle Cloud Reader:', error);
+      showStatus(step0Status, `Error: ${error.message}`, 'error');
+    } finally {
+      importCloudReaderBtn.disabled = false;
+    }
+  }
+  
+  // List the highlights of the selected chapters with their review choices
+  async function renderReview() {
+    reviewList.innerHTML = '';
+    reviewRecords.clear();
     
-    // Convert Markdown to Notion blocks
-    const blocks = convertMarkdownToNotionBlocks(content);
+    const selectedChapters = getSelectedChapters();
+    if (!currentBook || selectedChapters.length === 0) {
+      reviewSummary.textContent = '';
+      showStatus(reviewStatus, 'Select chapters in Step 2 to review their highlights.', 'info');
+      return;
+    }
     
-    // Create the page with title and content
-    const progressCallback = (message) => showStatusCallback(message, 'info');
-    const pageId = await createPageInDatabase(
-      databaseId,
-      dataSourceId,
-      titlePropertyName,
-      pageTitle,
-      blocks,
-      authToken,
-      progressCallback,
-      bookNamePropertyName,
-      bookNamePropertyType,
-      bookTitle
-    );
+    try {
+      const reviews = await loadHighlightReviews(currentBook.id);
+      const records = filterHighlightsByColor(
+        currentBook.records.filter(record => selectedChapters.includes(record.chapter)),
+        getColorFilters()
+      );
+      showStatus(reviewStatus, '', '');
+      
+      let currentChapter = null;
+      records.forEach(record => {
+        if (record.chapter !== currentChapter) {
+          const heading = document.createElement('h3');
+          heading.className = 'review-chapter';
+          heading.textContent = record.chapter;
+          reviewList.appendChild(heading);
+          currentChapter = record.chapter;
+        }
+        
+        const fingerprint = getHighlightFingerprint(currentBook.id, record);
+        reviewRecords.set(fingerprint, record);
+        reviewList.appendChild(createReviewItem(record, fingerprint, reviews.get(fingerprint)));
+      });
+      
+      updateReviewSummary();
+    } catch (error) {
+      console.error('Error loading highlight reviews:', error);
+      showStatus(reviewStatus, `Could not load the review: ${error.message}`, 'error');
+    }
+  }
+  
+  // Row of the Review tab: include checkbox, editable text and, for highlights, a tag field
+  function createReviewItem(record, fingerprint, review) {
+    const item = document.createElement('div');
+    item.className = 'review-item';
+    item.dataset.fingerprint = fingerprint;
+    
+    const header = document.createElement('label');
+    header.className = 'checkbox-label';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'review-include';
+    checkbox.checked = !review || !review.excluded;
+    
+    const meta = document.createElement('span');
+    meta.className = 'review-item-meta';
+    meta.textContent = [
+      record.kind === 'note' ? 'Note' : 'Highlight',
+      record.color,
+      record.page ? `Page ${record.page}` : null,
+      record.location !== null ? `Location ${record.location}` : null
+    ].filter(Boolean).join(' · ');
+    
+    header.appendChild(checkbox);
+    header.appendChild(meta);
+    item.appendChild(header);
+    
+    const textInput = document.createElement('textarea');
+    textInput.className = 'url-input review-text';
+    textInput.rows = 3;
+    textInput.value = review && review.text ? review.text : record.text;
+    item.appendChild(textInput);
+    
+    if (record.kind === 'highlight') {
+      const tagsInput = document.createElement('input');
+      tagsInput.type = 'text';
+      tagsInput.className = 'url-input review-tags';
+      tagsInput.placeholder = 'Tags, comma-separated';
+      tagsInput.value = review ? review.tags.join(', ') : '';
+      item.appendChild(tagsInput);
+    }
+    
+    updateReviewItemState(item, record);
+    return item;
+  }
+  
+  function updateReviewItemState(item, record) {
+    const text = item.querySelector('.review-text').value.trim();
+    item.classList.toggle('excluded', !item.querySelector('.review-include').checked);
+    item.classList.toggle('edited', text !== '' && text !== record.text.trim());
+  }
+  
+  function updateReviewSummary() {
+    const items = reviewList.querySelectorAll('.review-item');
+    const includedCount = reviewList.querySelectorAll('.review-item:not(.excluded)').length;
+    const editedCount = reviewList.querySelectorAll('.review-item.edited').length;
+    reviewSummary.textContent = items.length > 0
+      ? `${includedCount} of ${items.length} highlight(s) included${editedCount > 0 ? `, ${editedCount} edited` : ''}`
+      : 'No highlights in the selected chapters and colors';
+  }
+  
+  // Save the choices of a row when its checkbox, text or tags change
+  async function handleReviewChange(event) {
+    const item = event.target.closest('.review-item');
+    const record = item ? reviewRecords.get(item.dataset.fingerprint) : null;
+    if (!record || !currentBook) {
+      return;
+    }
     
-    // Convert page ID (UUID format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx) to Notion URL format
-    // Notion page URLs use the ID without dashes: https://www.notion.so/[32-char-id]
-    const pageIdWithoutDashes = pageId.replace(/-/g, '');
-    const pageUrl = `https://www.notion.so/${pageIdWithoutDashes}`;
+    const textInput = item.querySelector('.review-text');
+    if (textInput.value.trim() === '') {
+      // An emptied text field goes back to the original highlight
+      textInput.value = record.text;
+    }
+    const tagsInput = item.querySelector('.review-tags');
     
-    // Open the newly created page in a new tab
-    chrome.tabs.create({ url: pageUrl });
+    try {
+      await saveHighlightReview(currentBook.id, record, {
+        included: item.querySelector('.review-include').checked,
+        text: textInput.value,
+        tags: tagsInput ? parseTags(tagsInput.value) : []
+      });
+      updateReviewItemState(item, record);
+      updateReviewSummary();
+      updateCleanupReport();
+    } catch (error) {
+      console.error('Error saving highlight review:', error);
+      showStatus(reviewStatus, `Could not save your choice: ${error.message}`, 'error');
+    }
+  }
+  
+  async function renderLibrary() {
+    try {
+      const books = await listBooks();
+      libraryList.innerHTML = '';
+      
+      if (books.length === 0) {
+        showStatus(libraryStatus, 'The library is empty. Load a highlights file in the Steps tab.', 'info');
+        return;
+      }
+      showStatus(libraryStatus, '', '');
+      
+      books.forEach(book => {
+        const item = document.createElement('div');
+        item.className = 'library-item';
+        item.classList.toggle('active', !!currentBook && currentBook.id === book.id);
+        
+        const info = document.createElement('div');
+        info.className = 'library-item-info';
+        
+        const title = document.createElement('span');
+        title.className = 'library-item-title';
+        title.textContent = book.title || 'Untitled book';
+        
+        const highlightCount = book.records.filter(record => record.kind === 'highlight').length;
+        const details = [
+          book.authors,
+          `${highlightCount} highlight(s)`,
+          `${book.chapters.length} chapter(s)`,
+          BOOK_SOURCE_LABELS[book.source] || book.source,
+          `updated ${new Date(book.updatedAt).toLocaleDateString()}`
+        ].filter(Boolean);
+        
+        const meta = document.createElement('span');
+        meta.className = 'library-item-meta';
+        meta.textContent = details.join(' · ');
+        
+        info.appendChild(title);
+        info.appendChild(meta);
+        
+        const actions = document.createElement('div');
+        actions.className = 'library-item-actions';
+        
+        const openButton = document.createElement('button');
+        openButton.className = 'action-btn';
+        openButton.textContent = 'Open';
+        openButton.dataset.libraryAction = 'open';
+        openButton.dataset.bookId = book.id;
+        
+        const citeButton = document.createElement('button');
+        citeButton.className = 'action-btn secondary-btn';
+        citeButton.textContent = 'Copy citation';
+        citeButton.dataset.libraryAction = 'cite';
+        citeButton.dataset.bookId = book.id;
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'action-btn secondary-btn';
+        deleteButton.textContent = 'Delete';
+        deleteButton.dataset.libraryAction = 'delete';
+        deleteButton.dataset.bookId = book.id;
+        
+        actions.appendChild(openButton);
+        actions.appendChild(citeButton);
+        actions.appendChild(deleteButton);
+        item.appendChild(info);
+        item.appendChild(actions);
+        libraryList.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Error loading library:', error);
+      showStatus(libraryStatus, `Could not load the library: ${error.message}`, 'error');
+    }
+  }
+  
+  async function handleLibraryClick(event) {
+    const button = event.target.closest('[data-library-action]');
+    if (!button) {
+      return;
+    }
     
-    showStatusCallback(`Successfully created page "${pageTitle}" with ${blocks.length} blocks in Notion!`, 'success');
+    try {
+      const book = await getBook(button.dataset.bookId);
+      if (!book) {
+        renderLibrary();
+        return;
+      }
+      
+      if (button.dataset.libraryAction === 'open') {
+        kindleFileInput.value = '';
+        openBook(book, 'from library', true);
+        switchTab('steps');
+      } else if (button.dataset.libraryAction === 'cite') {
+        // Use the citation style from the Config tab, or APA when none is chosen
+        const citationStyle = configCitationStyleSelect.value || 'apa';
+        await navigator.clipboard.writeText(formatBookCitation(createBookMetadata(book), citationStyle));
+        showStatus(libraryStatus, `Copied the ${CITATION_STYLES[citationStyle]} citation of "${book.title}"`, 'success');
+      } else if (button.dataset.libraryAction === 'delete') {
+        if (!confirm(`Remove "${book.title}" and its highlights from the library?`)) {
+          return;
+        }
+        await deleteBook(book.id);
+        if (currentBook && currentBook.id === book.id) {
+          closeBook();
+        }
+        renderLibrary();
+      }
+    } catch (error) {
+      console.error('Error updating library:', error);
+      showStatus(libraryStatus, `Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Cached AI results listed in the Library tab
+  let aiCacheEntries = [];
+  
+  async function renderAiCache() {
+    try {
+      aiCacheEntries = await listAiCache();
+    } catch (error) {
+      console.error('Error loading the AI cache:', error);
+      showStatus(aiCacheStatus, `Could not load the AI cache: ${error.message}`, 'error');
+      return;
+    }
+    
+    // Offer the books that have cached results, keeping the chosen one
+    const selectedBookTitle = aiCacheBookFilter.value;
+    const bookTitles = [...new Set(aiCacheEntries.map(entry => entry.bookTitle || 'Unknown book'))];
+    aiCacheBookFilter.innerHTML = '<option value="">All books</option>';
+    bookTitles.forEach(bookTitle => {
+      const option = document.createElement('option');
+      option.value = bookTitle;
+      option.textContent = bookTitle;
+      aiCacheBookFilter.appendChild(option);
+    });
+    aiCacheBookFilter.value = bookTitles.includes(selectedBookTitle) ? selectedBookTitle : '';
+    
+    renderAiCacheList();
+  }
+  
+  // The cached results of the book chosen in the filter
+  function getShownAiCacheEntries() {
+    const bookTitle = aiCacheBookFilter.value;
+    return bookTitle ? aiCacheEntries.filter(entry => (entry.bookTitle || 'Unknown book') === bookTitle) : aiCacheEntries;
+  }
+  
+  function renderAiCacheList() {
+    const entries = getShownAiCacheEntries();
+    aiCacheList.innerHTML = '';
+    clearAiCacheBtn.disabled = entries.length === 0;
+    
+    if (entries.length === 0) {
+      showStatus(aiCacheStatus, 'No cached AI results.', 'info');
+      return;
+    }
+    showStatus(aiCacheStatus, `${entries.length} cached result(s)`, 'info');
+    
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'library-item';
+      
+      const info = document.createElement('div');
+      info.className = 'library-item-info';
+      
+      const title = document.createElement('span');
+      title.className = 'library-item-title';
+      title.textContent = [entry.chapter, entry.section].filter(Boolean).join(' › ');
+      title.title = entry.text.slice(0, 500);
+      
+      const meta = document.createElement('span');
+      meta.className = 'library-item-meta';
+      meta.textContent = [
+        entry.bookTitle,
+        `${entry.providerName} (${entry.model})`,
+        entry.templateName,
+        `${entry.text.length} characters`,
+        new Date(entry.createdAt).toLocaleString()
+      ].filter(Boolean).join(' · ');
+      
+      info.appendChild(title);
+      info.appendChild(meta);
+      
+      const actions = document.createElement('div');
+      actions.className = 'library-item-actions';
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'action-btn secondary-btn';
+      deleteButton.textContent = 'Delete';
+      deleteButton.dataset.aiCacheKey = entry.key;
+      
+      actions.appendChild(deleteButton);
+      item.appendChild(info);
+      item.appendChild(actions);
+      aiCacheList.appendChild(item);
+    });
+  }
+  
+  async function handleAiCacheClick(event) {
+    const button = event.target.closest('[data-ai-cache-key]');
+    if (!button) {
+      return;
+    }
+    
+    try {
+      await removeAiCacheEntries([button.dataset.aiCacheKey]);
+      renderAiCache();
+    } catch (error) {
+      console.error('Error deleting from the AI cache:', error);
+      showStatus(aiCacheStatus, `Error: ${error.message}`, 'error');
+    }
+  }
+  
+  // Clear the cached results shown, i.e. those of the book chosen in the filter or all of them
+  async function handleClearAiCache() {
+    const entries = getShownAiCacheEntries();
+    const bookTitle = aiCacheBookFilter.value;
+    if (entries.length === 0 || !confirm(`Clear ${entries.length} cached AI result(s)${bookTitle ? ` of "${bookTitle}"` : ''}?`)) {
+      return;
+    }
+    
+    try {
+      await removeAiCacheEntries(entries.map(entry => entry.key));
+      await renderAiCache();
+      showStatus(aiCacheStatus, `Cleared ${entries.length} cached result(s)`, 'success');
+    } catch (error) {
+      console.error('Error clearing the AI cache:', error);
+      showStatus(aiCacheStatus, `Error: ${error.message}`, 'error');
+    }
+  }
+  
+  async function renderHistory() {
+    try {
+      historyRuns = await loadRunHistory();
+    } catch (error) {
+      console.error('Error loading run history:', error);
+      showStatus(historyStatus, `Could not load the run history: ${error.message}`, 'error');
+      return;
+    }
+    
+    // Offer the books that have runs, keeping the chosen one
+    const selectedBookId = historyBookFilter.value;
+    const books = new Map(historyRuns.map(run => [run.bookId, run.bookTitle || 'Unknown book']));
+    historyBookFilter.innerHTML = '<option value="">All books</option>';
+    books.forEach((title, bookId) => {
+      const option = document.createElement('option');
+      option.value = bookId;
+      option.textContent = title;
+      historyBookFilter.appendChild(option);
+    });
+    historyBookFilter.value = books.has(selectedBookId) ? selectedBookId : '';
+    
+    renderHistoryList();
+  }
+  
+  function renderHistoryList() {
+    const runs = filterRuns(historyRuns, {
+      bookId: historyBookFilter.value,
+      status: historyStatusFilter.value,
+      text: historySearch.value
+    });
+    
+    historyList.innerHTML = '';
+    if (historyRuns.length === 0) {
+      showStatus(historyStatus, 'No runs yet. Runs appear here once they finish.', 'info');
+      return;
+    }
+    const filtered = runs.length < historyRuns.length;
+    showStatus(historyStatus, filtered ? `Showing ${runs.length} of ${historyRuns.length} runs` : '', filtered ? 'info' : '');
+    
+    runs.forEach(run => {
+      const item = document.createElement('div');
+      item.className = `history-item ${run.status}`;
+      
+      const title = document.createElement('div');
+      title.className = 'history-item-title';
+      title.textContent = run.bookTitle || 'Unknown book';
+      
+      const meta = document.createElement('div');
+      meta.textContent = `${new Date(run.startedAt).toLocaleString()} · ${formatDuration(new Date(run.finishedAt) - new Date(run.startedAt))}`;
+      
+      const message = document.createElement('div');
+      message.textContent = run.message;
+      
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.appendChild(message);
+      
+      if (canUndoRun(run)) {
+        const actions = document.createElement('div');
+        actions.className = 'library-item-actions';
+        const undoButton = document.createElement('button');
+        undoButton.className = 'action-btn secondary-btn';
+        undoButton.textContent = run.undo ? 'Retry undo' : 'Undo run';
+        undoButton.dataset.historyAction = 'undo';
+        undoButton.dataset.runId = run.id;
+        actions.appendChild(undoButton);
+        item.appendChild(actions);
+      }
+      
+      // What the last undo cleaned up, step by step
+      if (run.undo) {
+        const undoTitle = document.createElement('div');
+        undoTitle.className = 'history-chapter';
+        undoTitle.textContent = `${run.undo.status === 'done' ? 'Undone' : 'Undo incomplete'} on ${new Date(run.undo.finishedAt).toLocaleString()}`;
+        item.appendChild(undoTitle);
+        
+        const undoResults = document.createElement('ul');
+        undoResults.className = 'history-steps';
+        run.undo.results.forEach(result => {
+          const resultItem = document.createElement('li');
+          resultItem.className = `history-undo ${result.status}`;
+          resultItem.textContent = `${result.chapter} · ${result.name}: ${result.message}`;
+          undoResults.appendChild(resultItem);
+        });
+        item.appendChild(undoResults);
+      }
+      
+      run.chapterRuns.forEach(chapterRun => {
+        const chapter = document.createElement('div');
+        chapter.className = 'history-chapter';
+        chapter.textContent = `${chapterRun.chapter}: ${chapterRun.label}`;
+        item.appendChild(chapter);
+        
+        const steps = document.createElement('ul');
+        steps.className = 'history-steps';
+        chapterRun.steps.forEach(step => {
+          const stepItem = document.createElement('li');
+          stepItem.className = `history-step ${step.status}`;
+          const details = [step.status];
+          if (step.durationMs !== null) details.push(formatDuration(step.durationMs));
+          if (step.attempts > 1) details.push(`${step.attempts} attempts`);
+          if (step.error) details.push(step.error);
+          stepItem.textContent = `${step.name}: ${details.join(' · ')}`;
+          
+          // AI section outcomes: the counts, then every section that needed a retry or kept its raw highlights
+          const aiSections = step.report && step.report.aiSections;
+          if (aiSections && aiSections.length > 0) {
+            const summaryItem = document.createElement('div');
+            summaryItem.className = 'history-artifact';
+            summaryItem.textContent = `AI sections: ${summarizeSectionOutcomes(aiSections)}`;
+            stepItem.appendChild(summaryItem);
+            if (step.report.fidelity) {
+              const fidelityItem = document.createElement('div');
+              fidelityItem.className = 'history-artifact';
+              fidelityItem.textContent = `Fidelity: ${summarizeFidelity(step.report.fidelity)}`;
+              stepItem.appendChild(fidelityItem);
+            }
+            aiSections.filter(outcome => outcome.status === 'retried' || outcome.status === 'raw').forEach(outcome => {
+              const outcomeItem = document.createElement('div');
+              outcomeItem.className = `history-artifact section-outcome-line ${outcome.status}`;
+              outcomeItem.textContent = `${outcome.section}: ${SECTION_OUTCOME_LABELS[outcome.status]} after ${outcome.attempts} attempts${outcome.error ? ` (${outcome.error})` : ''}`;
+              stepItem.appendChild(outcomeItem);
+            });
+          }
+          
+          describeArtifacts(step.artifacts).forEach(artifact => {
+            const artifactItem = document.createElement('div');
+            artifactItem.className = 'history-artifact';
+            artifactItem.textContent = `${artifact.label}: `;
+            if (artifact.url) {
+              const link = document.createElement('a');
+              link.href = artifact.url;
+              link.target = '_blank';
+              link.textContent = artifact.text;
+              artifactItem.appendChild(link);
+            } else {
+              artifactItem.appendChild(document.createTextNode(artifact.text));
+            }
+            stepItem.appendChild(artifactItem);
+          });
+          
+          steps.appendChild(stepItem);
+        });
+        item.appendChild(steps);
+      });
+      
+      historyList.appendChild(item);
+    });
+  }
+  
+  async function handleHistoryClick(event) {
+    const button = event.target.closest('[data-history-action]');
+    if (!button || button.dataset.historyAction !== 'undo') {
+      return;
+    }
+    if (!confirm('Archive the Notion pages, and remove the NotebookLM sources and flashcards this run created?')) {
+      return;
+    }
+    
+    button.disabled = true;
+    showStatus(historyStatus, 'Undoing the run...', 'info');
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoRun', runId: button.dataset.runId });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background script');
+      }
+      await renderHistory();
+      const failed = response.undo.results.filter(result => result.status === 'failed').length;
+      if (failed > 0) {
+        showStatus(historyStatus, `${failed} cleanup step(s) failed, see the run below. Undo can be retried.`, 'error');
+      } else {
+        showStatus(historyStatus, 'Run undone', 'success');
+      }
+    } catch (error) {
+      console.error('Error undoing run:', error);
+      showStatus(historyStatus, `Error: ${error.message}`, 'error');
+      button.disabled = false;
+    }
+  }
+  
+  // Show the progress of an undo started from the History tab
+  function handleRuntimeMessage(message) {
+    if (message.action === 'undoRunStatus') {
+      showStatus(historyStatus, message.message, message.type);
+    }
+  }
+  
+  // Format a duration for the History tab, e.g. "850 ms", "12.4 s" or "3 min 5 s"
+  function formatDuration(ms) {
+    if (!Number.isFinite(ms)) {
+      return '';
+    }
+    if (ms < 1000) {
+      return `${ms} ms`;
+    }
+    if (ms < 60000) {
+      return `${(ms / 1000).toFixed(1)} s`;
+    }
+    return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+  }
+  
+  // Download the runs shown with the current filters as a JSON file
+  function handleExportHistory() {
+    const runs = filterRuns(historyRuns, {
+      bookId: historyBookFilter.value,
+      status: historyStatusFilter.value,
+      text: historySearch.value
+    });
+    if (runs.length === 0) {
+      showStatus(historyStatus, 'No runs to export', 'error');
+      return;
+    }
+    
+    const url = URL.createObjectURL(new Blob([exportRunsAsJson(runs)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `run-history-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showStatus(historyStatus, `Exported ${runs.length} run(s)`, 'success');
+  }
+  
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  }
+  
+  // Show processed content in the Step 5 editor and its preview, with how the AI handled each section
+  function showProcessedContent(content, processedHighlights) {
+    processedChapter = processedHighlights ? processedHighlights.chapter : null;
+    processedSectionOutcomes = (content && processedHighlights && processedHighlights.aiSections) || [];
+    processedOriginalContent = (content && processedHighlights && processedHighlights.originalContent) || null;
+    processedKnownText = (processedHighlights && processedHighlights.knownText) || '';
+    processedContentEditor.value = content || '';
+    renderProcessedContentPreview(content || '');
+  }
+  
+  // Render the preview, mark every section heading with its AI outcome, and annotate what the
+  // fidelity check found (it runs again after edits, so fixing the text clears its marks)
+  function renderProcessedContentPreview(content) {
+    processedContentPreview.innerHTML = renderMarkdownPreview(content);
+    const previewSections = getPreviewSections();
+    
+    processedSectionOutcomes.forEach(outcome => {
+      const badge = document.createElement('span');
+      badge.className = `section-outcome ${outcome.status}`;
+      badge.textContent = outcome.status === 'retried' || outcome.status === 'raw'
+        ? `${SECTION_OUTCOME_LABELS[outcome.status]} (${outcome.attempts} attempts${outcome.error ? `: ${outcome.error}` : ''})`
+        : SECTION_OUTCOME_LABELS[outcome.status];
+      addSectionMark(previewSections.get(outcome.section), badge);
+    });
+    
+    const fidelity = content && processedOriginalContent ? checkFidelity(processedOriginalContent, content, processedKnownText) : null;
+    if (fidelity) {
+      annotateFidelity(fidelity, previewSections);
+    }
+    
+    const info = content && processedChapter ? [`Chapter: ${processedChapter}`] : [];
+    if (content && processedSectionOutcomes.length > 0) {
+      info.push(`AI sections: ${summarizeSectionOutcomes(processedSectionOutcomes)}`);
+    }
+    if (fidelity) {
+      info.push(`Fidelity: ${summarizeFidelity(fidelity)}`);
+    }
+    processedContentInfo.textContent = info.join(' · ');
+  }
+  
+  // Group the elements of the preview by section: sections are the ### headings, which the preview
+  // renders as h4 (see markdown_preview.js), and the text before the first of them is "Introduction"
+  function getPreviewSections() {
+    const previewSections = new Map();
+    let previewSection = { heading: null, elements: [] };
+    previewSections.set('Introduction', previewSection);
+    
+    [...processedContentPreview.children].forEach(element => {
+      if (element.tagName === 'H4') {
+        previewSection = { heading: element, elements: [] };
+        if (!previewSections.has(element.textContent.trim())) {
+          previewSections.set(element.textContent.trim(), previewSection);
+        }
+      } else if (element.tagName !== 'H3') {
+        previewSection.elements.push(element);
+      }
+    });
+    return previewSections;
+  }
+  
+  // Add a mark to the heading of a section; the text before the first section has no heading,
+  // so its marks go in a line below the chapter heading
+  function addSectionMark(previewSection, mark) {
+    if (!previewSection) {
+      return;
+    }
+    if (!previewSection.heading) {
+      previewSection.heading = document.createElement('div');
+      previewSection.heading.className = 'section-marks';
+      const chapterHeading = processedContentPreview.querySelector('h3');
+      if (chapterHeading) {
+        chapterHeading.after(previewSection.heading);
+      } else {
+        processedContentPreview.prepend(previewSection.heading);
+      }
+    }
+    previewSection.heading.appendChild(mark);
+  }
+  
+  // Annotate the preview like a diff: the coverage of every section on its heading, sentences no
+  // highlight supports marked where they are, and the highlights missing from the rewrite listed
+  // as removed lines at the end of their section
+  function annotateFidelity(fidelity, previewSections) {
+    // Compare text without spacing, punctuation and case, since the preview renders the Markdown
+    const normalizeText = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    
+    fidelity.sections.forEach(sectionReport => {
+      const previewSection = previewSections.get(sectionReport.section);
+      if (!previewSection) {
+        return;
+      }
+      
+      const score = document.createElement('span');
+      score.className = 'fidelity-score';
+      score.classList.toggle('low', sectionReport.missing.length > 0 || sectionReport.unsupported.length > 0);
+      score.textContent = `${Math.round(sectionReport.coverage * 100)}% coverage`;
+      score.title = `${sectionReport.highlightCount} highlight(s), ${sectionReport.missing.length} missing, ${sectionReport.unsupported.length} unsupported sentence(s)`;
+      addSectionMark(previewSection, score);
+      
+      const diffLines = [];
+      sectionReport.unsupported.forEach(sentence => {
+        const element = previewSection.elements.find(candidate => normalizeText(candidate.textContent).includes(normalizeText(sentence.text)));
+        if (element) {
+          element.classList.add('fidelity-unsupported');
+          element.title = [element.title, `Not in the highlights: ${sentence.reasons.join('; ')}`].filter(Boolean).join('\n');
+        } else {
+          diffLines.push({ className: 'fidelity-added', tagName: 'ins', text: sentence.text, reasons: sentence.reasons });
+        }
+      });
+      sectionReport.missing.forEach(highlight => {
+        diffLines.push({ className: 'fidelity-missing', tagName: 'del', text: highlight.text, reasons: highlight.reasons });
+      });
+      if (diffLines.length === 0) {
+        return;
+      }
+      
+      const diff = document.createElement('div');
+      diff.className = 'fidelity-diff';
+      diffLines.forEach(({ className, tagName, text, reasons }) => {
+        const line = document.createElement('div');
+        line.className = className;
+        const lineText = document.createElement(tagName);
+        lineText.textContent = text;
+        const lineReasons = document.createElement('span');
+        lineReasons.className = 'fidelity-reason';
+        lineReasons.textContent = reasons.join('; ');
+        line.appendChild(lineText);
+        line.appendChild(lineReasons);
+        diff.appendChild(line);
+      });
+      // The reference for the book ends the last section; the missing highlights go above it
+      const lastElement = [...previewSection.elements].reverse().find(element => !element.textContent.startsWith('Reference:')) || previewSection.heading;
+      lastElement.after(diff);
+    });
+  }
+  
+  // Save the edit, so every later action uses it, and update the preview once typing pauses:
+  // the preview runs the fidelity check again, which is too slow for every keystroke
+  function handleProcessedContentEdit() {
+    saveProcessedContent(processedContentEditor.value);
+    clearTimeout(processedPreviewTimer);
+    processedPreviewTimer = setTimeout(() => {
+      renderProcessedContentPreview(processedContentEditor.value);
+    }, 400);
+  }
+  
+  // Continue a run that is paused for review, or skip the paused chapter
+  async function finishContentReview(resume) {
+    if (resume) {
+      if (processedContentEditor.value.trim() === '') {
+        showStatus(processedContentStatus, 'The processed content is empty. Add content or skip the chapter.', 'error');
+        return;
+      }
+      saveProcessedContent(processedContentEditor.value);
+    }
+    
+    contentReviewActions.style.display = 'none';
+    showStatus(processedContentStatus, '', '');
+    const response = await chrome.runtime.sendMessage({ action: 'continuePipelineJob', resume });
+    if (!response || !response.success) {
+      showStatus(processedContentStatus, `Error: ${response ? response.error : 'No response from the background job'}`, 'error');
+    }
   }
   
   function populateNotebooksDropdown(notebooks) {
@@ -629,112 +2034,113 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
-  async function addSourceToNotebooklm(showStatusCallback) {
-    // Check if notebook is selected
-    if (!selectedNotebookName) {
-      // If custom input has value, use it
-      const customName = customNotebookInput.value.trim();
-      if (customName) {
-        selectedNotebookName = customName;
-        saveSelectedNotebook(customName);
-      } else {
-        showStatusCallback('Please select a notebook in Step 3', 'error');
-        throw new Error('No notebook selected');
-      }
+  // Show a pipeline job (see pipeline_job.js): chapter progress, run status and the review checkpoint
+  function renderPipelineJob(job) {
+    if (!job) {
+      return;
     }
     
-    // Get the selected chapter name and book title for renaming the source
-    const selectedChapter = chapterSelect.value;
+    chapterProgressList.innerHTML = '';
+    job.chapterStates.forEach(chapterState => {
+      const item = document.createElement('li');
+      item.className = `chapter-progress-item ${CHAPTER_PROGRESS_CLASSES[chapterState.status] || 'pending'}`;
+      
+      const name = document.createElement('span');
+      name.textContent = chapterState.chapter;
+      
+      const state = document.createElement('span');
+      state.className = 'chapter-progress-state';
+      state.textContent = chapterState.label;
+      
+      item.appendChild(name);
+      item.appendChild(state);
+      
+      // Every step of the chapter, with the sub-progress of the running one
+      const stepList = document.createElement('ul');
+      stepList.className = 'step-progress-list';
+      chapterState.steps.forEach(stepState => {
+        const stepItem = document.createElement('li');
+        stepItem.className = `step-progress-item ${stepState.status}`;
+        
+        const stepName = document.createElement('span');
+        stepName.textContent = getPipelineStep(stepState.id).name;
+        
+        const stepProgress = document.createElement('span');
+        stepProgress.className = 'step-progress-state';
+        stepProgress.textContent = describeStepProgress(stepState);
+        
+        stepItem.appendChild(stepName);
+        stepItem.appendChild(stepProgress);
+        stepList.appendChild(stepItem);
+      });
+      item.appendChild(stepList);
+      
+      chapterProgressList.appendChild(item);
+    });
     
-    // Get book title from cached HTML
-    let sourceName = null;
-    if (selectedChapter) {
-      if (cachedHtmlContent) {
-        const bookTitle = extractBookTitle(cachedHtmlContent);
-        if (bookTitle) {
-          // Format as "Chapter Name (Book Name)"
-          sourceName = `${selectedChapter} (${bookTitle})`;
-        } else {
-          // Fallback to just chapter name if book title not found
-          sourceName = selectedChapter;
-        }
-      } else {
-        // Fallback to just chapter name if no cached content
-        sourceName = selectedChapter;
-      }
+    showStatus(step2Status, job.message.text, job.message.type);
+    const active = isPipelineJobActive(job);
+    performActionsBtn.disabled = active;
+    if (active) {
+      cancelActionsBtn.style.display = '';
+    } else {
+      cancelActionsBtn.style.display = 'none';
+      cancelActionsBtn.disabled = false;
+      cancelActionsBtn.textContent = 'Cancel';
     }
     
-    await exportToNotebooklm(selectedNotebookName, null, showStatusCallback, sourceName);
-  }
-  
-  async function generateFlashcards(showStatusCallback) {
-    // Get the selected chapter name and format it to match the renamed source
-    // Source is named as "Chapter Name (Book Name)", so we need to match that format
-    const selectedChapter = chapterSelect.value;
-    
-    // Format source name to match the renamed source: "Chapter Name (Book Name)"
-    let sourceName = null;
-    if (selectedChapter) {
-      if (cachedHtmlContent) {
-        const bookTitle = extractBookTitle(cachedHtmlContent);
-        if (bookTitle) {
-          // Format as "Chapter Name (Book Name)" to match the renamed source
-          sourceName = `${selectedChapter} (${bookTitle})`;
-        } else {
-          // Fallback to just chapter name if book title not found
-          sourceName = selectedChapter;
-        }
-      } else {
-        // Fallback to just chapter name if no cached content
-        sourceName = selectedChapter;
+    const pausedChapter = job.status === 'awaitingReview'
+      ? job.chapterStates.find(chapterState => chapterState.status === 'running')
+      : null;
+    if (pausedChapter) {
+      if (contentReviewActions.style.display !== 'flex') {
+        contentReviewActions.style.display = 'flex';
+        showStatus(processedContentStatus, `Paused: review the processed content of "${pausedChapter.chapter}", then click Continue`, 'info');
+        processedContentEditor.scrollIntoView({ behavior: 'smooth', block: 'start' });
       }
+    } else if (contentReviewActions.style.display === 'flex') {
+      contentReviewActions.style.display = 'none';
+      showStatus(processedContentStatus, '', '');
     }
-    
-    const chapterName = selectedChapter || null; // Use chapter name for renaming the flashcard
-    
-    await createFlashcards(showStatusCallback, sourceName, chapterName);
   }
   
-  async function createGeminiQuiz(showStatusCallback) {
-    // Check if we have cached HTML content
-    if (!cachedHtmlContent) {
-      showStatusCallback('Please load a Kindle highlights file first in Step 1', 'error');
-      throw new Error('No file loaded');
+  // Describe a step in the progress list, e.g. "AI request 3/8" or the error it failed with
+  function describeStepProgress(stepState) {
+    const progress = stepState.progress;
+    if (stepState.status === 'running') {
+      if (progress && progress.total) {
+        return `${progress.label} ${progress.current}/${progress.total}`;
+      }
+      return stepState.attempts > 1 ? `Running (attempt ${stepState.attempts})...` : 'Running...';
     }
-    
-    // Get book title from cached HTML
-    const bookTitle = extractBookTitle(cachedHtmlContent);
-    if (!bookTitle) {
-      showStatusCallback('Could not extract book title. Please reload file in Step 1.', 'error');
-      throw new Error('Could not extract book title');
+    if (stepState.status === 'failed' || stepState.status === 'skipped') {
+      return `${STEP_PROGRESS_LABELS[stepState.status]}: ${stepState.error}`;
     }
-    
-    // Get the selected chapter name
-    const selectedChapter = chapterSelect.value;
-    if (!selectedChapter) {
-      showStatusCallback('Please select a chapter first in Step 2', 'error');
-      throw new Error('No chapter selected');
+    return STEP_PROGRESS_LABELS[stepState.status] || stepState.status;
+  }
+  
+  // Follow the background job and the processed content it writes
+  function handleStorageChange(changes, areaName) {
+    if (areaName !== 'local') {
+      return;
     }
-    
-    // Get the Gemini chat URL from config
-    const geminiChatUrl = configGeminiChatUrlInput.value.trim();
-    
-    if (!geminiChatUrl) {
-      showStatusCallback('Please enter a Gemini Chat/Gem URL in the Config tab', 'error');
-      throw new Error('Gemini Chat URL required');
+    if (changes.pipelineJob) {
+      renderPipelineJob(changes.pipelineJob.newValue);
+      
+      // A finished run is added to the history
+      const job = changes.pipelineJob.newValue;
+      if (job && job.finishedAt && document.getElementById('historyTab').classList.contains('active')) {
+        renderHistory();
+      }
     }
-    
-    saveGeminiChatUrl(geminiChatUrl);
-    
-    // Get content from storage
-    const content = await loadProcessedContent();
-    
-    if (!content) {
-      showStatusCallback('No content found. Please run Step 2 first.', 'error');
-      throw new Error('No content found');
+    if (changes.processedContent || changes.processedHighlights) {
+      Promise.all([loadProcessedContent(), loadProcessedHighlights()]).then(([content, processedHighlights]) => {
+        // Don't reset the editor when the change is the edit just typed into it
+        if ((content || '') !== processedContentEditor.value) {
+          showProcessedContent(content, processedHighlights);
+        }
+      });
     }
-    
-    await sendToGeminiChat(geminiChatUrl, content, showStatusCallback, bookTitle, selectedChapter);
   }
   
   async function handlePerformActions() {
@@ -748,10 +2154,16 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    // Check if a chapter is selected
-    const selectedChapter = chapterSelect.value;
-    if (!selectedChapter) {
-      showStatus(step2Status, 'Please select a chapter first in Step 2', 'error');
+    // Check if at least one chapter is selected
+    const selectedChapters = getSelectedChapters();
+    if (selectedChapters.length === 0) {
+      showStatus(step2Status, 'Please select at least one chapter in Step 2', 'error');
+      return;
+    }
+    
+    // Processed content is kept for one chapter at a time, so each chapter must be processed in the run
+    if (selectedChapters.length > 1 && !actionProcessHighlights.checked) {
+      showStatus(step2Status, 'Select "Process highlights with AI" to run actions on several chapters', 'error');
       return;
     }
     
@@ -775,84 +2187,65 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     }
     
-    performActionsBtn.disabled = true;
+    // The background job reads the settings from storage, so save the ones shown in the Config tab
+    const geminiApiKey = configGeminiApiKeyInput.value.trim();
+    const notionDatabaseUrl = configNotionDatabaseUrlInput.value.trim();
+    const notionAuthToken = configNotionAuthTokenInput.value.trim();
+    const geminiChatUrl = configGeminiChatUrlInput.value.trim();
+    if (geminiApiKey) {
+      saveGeminiApiKey(geminiApiKey);
+    }
+    if (notionDatabaseUrl && notionAuthToken) {
+      saveNotionConfig(notionDatabaseUrl, notionAuthToken);
+    }
+    if (geminiChatUrl) {
+      saveGeminiChatUrl(geminiChatUrl);
+    }
+    saveCitationStyle(configCitationStyleSelect.value);
+    saveLlmSettings();
     
+    const options = {
+      actions: getSelectedActions(),
+      syncNewOnly: syncNewOnly.checked,
+      pauseForReview: pauseForReview.checked,
+      cleanupHighlights: cleanupHighlightsCheckbox.checked,
+      colorFilters: getColorFilters(),
+      colorLabels: getColorLabels(),
+      citationStyle: configCitationStyleSelect.value,
+      notebookName: selectedNotebookName,
+      promptTemplateId: promptTemplateChoice.value,
+      forceReprocess: forceReprocess.checked
+    };
+    
+    performActionsBtn.disabled = true;
     try {
-      // Execute actions in sequence
-      const statusCallback = (message, type) => showStatus(step2Status, message, type);
-      
-      // 1. Process highlights (if selected)
-      if (actionProcessHighlights.checked) {
-        try {
-          await processKindleHighlights(statusCallback);
-        } catch (error) {
-          console.error('Error processing highlights:', error);
-          showStatus(step2Status, `Error processing highlights: ${error.message}`, 'error');
-          // Continue with other actions if this fails?
-          // For now, we'll stop if processing fails since other actions depend on it
-          if (actionCopyToNotion.checked) {
-            throw error; // Stop if Copy to Notion depends on processed highlights
-          }
-        }
-      }
-      
-      // 2. Copy to Notion (if selected)
-      if (actionCopyToNotion.checked) {
-        try {
-          await copyToNotion(statusCallback);
-        } catch (error) {
-          console.error('Error copying to Notion:', error);
-          showStatus(step2Status, `Error copying to Notion: ${error.message}`, 'error');
-          // Continue with other actions
-        }
+      const response = await chrome.runtime.sendMessage({ action: 'startPipelineJob', bookId: currentBook.id, chapters: selectedChapters, options });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background job');
       }
-      
-      // 3. Create Gemini quiz (if selected)
-      if (actionCreateGeminiQuiz.checked) {
-        try {
-          await createGeminiQuiz(statusCallback);
-        } catch (error) {
-          console.error('Error creating Gemini quiz:', error);
-          showStatus(step2Status, `Error creating Gemini quiz: ${error.message}`, 'error');
-        }
-      }
-      
-      // 4. Add source to NotebookLM (if selected)
-      if (actionAddToNotebooklm.checked) {
-        try {
-          await addSourceToNotebooklm(statusCallback);
-        } catch (error) {
-          console.error('Error adding source to NotebookLM:', error);
-          showStatus(step2Status, `Error adding source to NotebookLM: ${error.message}`, 'error');
-          // Continue with other actions
-        }
-      }
-      
-      // 5. Generate flashcards (if selected)
-      if (actionGenerateFlashcards.checked) {
-        try {
-          await generateFlashcards(statusCallback);
-        } catch (error) {
-          console.error('Error generating flashcards:', error);
-          showStatus(step2Status, `Error generating flashcards: ${error.message}`, 'error');
-        }
-      }
-      
-      // Show final success message if we got here
-      const selectedActions = [];
-      if (actionProcessHighlights.checked) selectedActions.push('Process highlights');
-      if (actionCopyToNotion.checked) selectedActions.push('Copy to Notion');
-      if (actionCreateGeminiQuiz.checked) selectedActions.push('Create Gemini quiz');
-      if (actionAddToNotebooklm.checked) selectedActions.push('Add source to NotebookLM');
-      if (actionGenerateFlashcards.checked) selectedActions.push('Generate flashcards');
-      
-      showStatus(step2Status, `Completed: ${selectedActions.join(', ')}`, 'success');
-      
+      // Reprocessing is chosen for one run, so the next one uses the cache again
+      forceReprocess.checked = false;
     } catch (error) {
-      console.error('Error performing actions:', error);
+      console.error('Error starting actions:', error);
       showStatus(step2Status, `Error: ${error.message}`, 'error');
-    } finally {
       performActionsBtn.disabled = false;
     }
   }
+  
+  // Cancel the run; the background job finishes it once the current step reaches a safe point
+  async function handleCancelActions() {
+    cancelActionsBtn.disabled = true;
+    cancelActionsBtn.textContent = 'Cancelling...';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'cancelPipelineJob' });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background job');
+      }
+    } catch (error) {
+      console.error('Error cancelling actions:', error);
+      showStatus(step2Status, `Error: ${error.message}`, 'error');
+      cancelActionsBtn.disabled = false;
+      cancelActionsBtn.textContent = 'Cancel';
+    }
+  }
 });
@@ -0,0 +1,84 @@
+// Book profile module
+// Remembers where each book goes and how it is processed: the NotebookLM notebook, the Notion
+// database, the Gemini prompt template (see prompts.js) and extra instructions for it, the
+// included highlight colors and the default actions. The side panel applies a book's profile
+// when the book is opened, and the background job uses its Notion database and prompt
+// instructions instead of the Config tab ones
+
+import { getProfile, saveProfile, deleteProfile } from './library.js';
+
+const PROFILE_ACTIONS = ['processHighlights', 'copyToNotion', 'createGeminiQuiz', 'addToNotebooklm', 'generateFlashcards'];
+
+/**
+ * Create the profile of a book
+ * Empty values mean "use the global setting", so a profile can override only some of them
+ * @param {Object} book - Library book
+ * @param {Object} settings - Settings to remember for the book
+ * @param {string|null} settings.notebookName - NotebookLM notebook
+ * @param {string} settings.notionDatabaseUrl - Notion database URL
+ * @param {string} settings.promptInstructions - Extra instructions for the Gemini prompt, its {{instructions}} variable
+ * @param {Object} settings.colorFilters - Included highlight colors as { color: included }
+ * @param {Object} settings.actions - Default actions: processHighlights, copyToNotion, createGeminiQuiz, addToNotebooklm, generateFlashcards
+ * @param {string|null} settings.promptTemplateId - Gemini prompt template
+ * @returns {Object} Profile
+ */
+export function createBookProfile(book, { notebookName, notionDatabaseUrl, promptInstructions, colorFilters, actions, promptTemplateId }) {
+  return {
+    bookId: book.id,
+    bookTitle: book.title,
+    notebookName: notebookName || null,
+    notionDatabaseUrl: (notionDatabaseUrl || '').trim() || null,
+    promptInstructions: (promptInstructions || '').trim() || null,
+    colorFilters: { ...colorFilters },
+    actions: Object.fromEntries(PROFILE_ACTIONS.map(action => [action, Boolean(actions[action])])),
+    promptTemplateId: promptTemplateId || null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Load the profile of a book
+ * @param {string} bookId - Library book ID
+ * @returns {Promise<Object|null>} Profile or null if the book has none
+ */
+export async function loadBookProfile(bookId) {
+  return getProfile(bookId);
+}
+
+/**
+ * Save the profile of a book
+ * @param {Object} book - Library book
+ * @param {Object} settings - Settings to remember for the book (see createBookProfile)
+ * @returns {Promise<Object>} Saved profile
+ */
+export async function saveBookProfile(book, settings) {
+  const profile = createBookProfile(book, settings);
+  await saveProfile(profile);
+  return profile;
+}
+
+/**
+ * Remove the profile of a book, so the global settings apply to it again
+ * @param {string} bookId - Library book ID
+ * @returns {Promise<void>}
+ */
+export async function removeBookProfile(bookId) {
+  await deleteProfile(bookId);
+}
+
+/**
+ * Apply the destinations of a book profile to the saved settings used by the actions
+ * @param {Object} settings - Saved settings from loadSavedData (storage.js)
+ * @param {Object|null} profile - Book profile, or null if the book has none
+ * @returns {Object} Settings with the profile's Notion database and prompt instructions
+ */
+export function applyBookProfile(settings, profile) {
+  if (!profile) {
+    return settings;
+  }
+  return {
+    ...settings,
+    notionPageUrl: profile.notionDatabaseUrl || settings.notionPageUrl,
+    promptInstructions: profile.promptInstructions || null
+  };
+}
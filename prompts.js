@@ -0,0 +1,173 @@
+// Prompt template module
+// The Gemini prompt used to process highlights is a template with {{variables}}, rendered once
+// per section. A few templates are built in (clean notes, study notes, outline and a Q&A digest);
+// custom templates are kept in chrome.storage.local. Each run uses the template chosen in Step 4,
+// which a book profile (see profiles.js) can set for its book
+
+export const DEFAULT_PROMPT_TEMPLATE_ID = 'cleanNotes';
+
+// Variables available in templates, with what they are replaced by
+export const PROMPT_VARIABLES = {
+  book: 'Book title',
+  author: 'Book authors',
+  chapter: 'Chapter name',
+  section: 'Section name (the ### heading, or "Introduction")',
+  highlights: 'Highlights of the section, with my notes on lines starting with "My note:"',
+  notes: 'Only my notes of the section, one per line',
+  instructions: 'Extra instructions from the book profile'
+};
+
+// Instructions shared by the built-in templates, so the markup added to the highlights survives processing
+const KEEP_MARKUP_INSTRUCTIONS = 'Lines starting with "My note:" are my own notes, not the author\'s words: keep each of them next to the passage it comments on, as a Markdown blockquote (a line starting with "> "), without the "My note:" label. Passages that start with a bold label such as "**Definition:**" are tagged by highlight color: keep the label at the start of the text that comes from that passage. Passages that end with a citation in parentheses, such as "(Smith, 2015, loc. 293)", or a \\cite command keep it at the end of the text that comes from that passage. Keep Markdown links such as "[Location 293](kindle://...)" unchanged at the end of the text that comes from their passage.';
+
+export const BUILTIN_PROMPT_TEMPLATES = [
+  {
+    id: DEFAULT_PROMPT_TEMPLATE_ID,
+    name: 'Clean notes',
+    builtIn: true,
+    text: `I will give you a text that contains a list of highlights I copied from a Kindle book. The highlights come from the book "{{book}}" by {{author}}. Please parse this content in order to make it more readable. The result should be properly formatted, in complete sentences and paragraphs, and with headings when necessary. Don't make too many changes, the actual content (information that the text provides) should remain the same. ${KEEP_MARKUP_INSTRUCTIONS}
+
+{{instructions}}
+
+Respond only with the formatted text. Here is the original text:
+
+{{highlights}}`
+  },
+  {
+    id: 'studyNotes',
+    name: 'Study notes',
+    builtIn: true,
+    text: `I will give you the highlights I copied from the section "{{section}}" of the chapter "{{chapter}}" in the book "{{book}}" by {{author}}. Turn them into study notes: start with a two or three sentence summary of the section, then group the ideas under short headings as bullet points, and make the key terms bold. Only use information from the highlights. ${KEEP_MARKUP_INSTRUCTIONS}
+
+{{instructions}}
+
+Respond only with the study notes. Here are the highlights:
+
+{{highlights}}`
+  },
+  {
+    id: 'outline',
+    name: 'Outline',
+    builtIn: true,
+    text: `I will give you the highlights I copied from the section "{{section}}" of the chapter "{{chapter}}" in the book "{{book}}" by {{author}}. Turn them into a hierarchical outline: nested bullet points with one idea per bullet, main ideas first and supporting details below them. Keep the wording short and only use information from the highlights. ${KEEP_MARKUP_INSTRUCTIONS}
+
+{{instructions}}
+
+Respond only with the outline. Here are the highlights:
+
+{{highlights}}`
+  },
+  {
+    id: 'qaDigest',
+    name: 'Q&A digest',
+    builtIn: true,
+    text: `I will give you the highlights I copied from the section "{{section}}" of the chapter "{{chapter}}" in the book "{{book}}" by {{author}}. Turn them into a question and answer digest: a list of the questions a reader should be able to answer after reading this section, each written as "**Q:** question" on one line and followed by "**A:** answer" on the next, with the answer taken from the highlights. Cover every idea in the highlights. ${KEEP_MARKUP_INSTRUCTIONS}
+
+{{instructions}}
+
+Respond only with the questions and answers. Here are the highlights:
+
+{{highlights}}`
+  }
+];
+
+/**
+ * List the built-in templates followed by the custom ones
+ * @param {Array|null} customTemplates - Custom templates, as saved with savePromptTemplates (storage.js)
+ * @returns {Array<{id: string, name: string, text: string, builtIn?: boolean}>} Templates
+ */
+export function listPromptTemplates(customTemplates) {
+  return [...BUILTIN_PROMPT_TEMPLATES, ...(customTemplates || [])];
+}
+
+/**
+ * Find a template by ID
+ * A template that was deleted since it was chosen falls back to the default one
+ * @param {Array|null} customTemplates - Custom templates
+ * @param {string|null} templateId - Template ID
+ * @returns {Object} Template
+ */
+export function findPromptTemplate(customTemplates, templateId) {
+  return listPromptTemplates(customTemplates).find(template => template.id === templateId) || BUILTIN_PROMPT_TEMPLATES[0];
+}
+
+/**
+ * Create a custom template
+ * @param {string} name - Template name
+ * @param {string} text - Template text with {{variables}}
+ * @returns {Object} Template
+ */
+export function createPromptTemplate(name, text) {
+  const template = { id: `custom:${Date.now().toString(36)}`, name: '', text: '' };
+  return updatePromptTemplate(template, name, text);
+}
+
+/**
+ * Change the name and text of a custom template
+ * @param {Object} template - Template to change
+ * @param {string} name - Template name
+ * @param {string} text - Template text with {{variables}}
+ * @returns {Object} Changed template
+ */
+export function updatePromptTemplate(template, name, text) {
+  if (!name.trim()) {
+    throw new Error('Enter a template name');
+  }
+  if (!/\{\{\s*highlights\s*\}\}/.test(text)) {
+    throw new Error('The template must include {{highlights}}');
+  }
+  return { ...template, name: name.trim(), text: text.trim() };
+}
+
+/**
+ * Label the user's notes (Markdown blockquotes) so the model can tell them apart from the book's text
+ * @param {string} sectionContent - The highlights text for a single section
+ * @returns {string} Section text with "> note" lines rewritten as "My note: note"
+ */
+function labelNotesForPrompt(sectionContent) {
+  return sectionContent
+    .split('\n')
+    .map(line => line.match(/^>\s?/) ? `My note: ${line.replace(/^>\s?/, '')}` : line)
+    .join('\n');
+}
+
+/**
+ * Build the variables of a template for one section of highlights
+ * @param {Object} details - What the section is
+ * @param {Object|null} details.bookMetadata - Book metadata from createBookMetadata (citation.js)
+ * @param {string|null} details.chapter - Chapter name
+ * @param {string|null} details.section - Section name, or null for the text before the first ### heading
+ * @param {string} details.sectionContent - The highlights text for the section
+ * @param {string|null} details.instructions - Extra instructions from the book profile
+ * @returns {Object<string, string>} Variable values by name
+ */
+export function createPromptVariables({ bookMetadata, chapter, section, sectionContent, instructions }) {
+  return {
+    book: (bookMetadata && bookMetadata.title) || 'Unknown book',
+    author: (bookMetadata && bookMetadata.authorsText) || 'an unknown author',
+    chapter: chapter || '',
+    section: section || 'Introduction',
+    highlights: labelNotesForPrompt(sectionContent),
+    notes: sectionContent
+      .split('\n')
+      .filter(line => line.match(/^>\s?/))
+      .map(line => line.replace(/^>\s?/, ''))
+      .join('\n'),
+    instructions: instructions || ''
+  };
+}
+
+/**
+ * Render a template, replacing its {{variables}}
+ * Unknown variables are kept as they are, so a typo shows up in the preview
+ * @param {string} templateText - Template text
+ * @param {Object<string, string>} variables - Variable values from createPromptVariables
+ * @returns {string} Prompt
+ */
+export function renderPromptTemplate(templateText, variables) {
+  return templateText
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => Object.hasOwn(variables, name) ? variables[name] : match)
+    // Variables left empty (e.g. no instructions) don't leave gaps between paragraphs
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,85 @@
+// Highlight review module
+// Keeps the per-highlight choices from the Review tab (included or not, edited text, tags)
+// and applies them before highlights are processed. Choices are keyed by the highlight
+// fingerprint (see sync.js), so they still apply when the book is re-imported
+
+import { getReviews, saveReview, deleteReview } from './library.js';
+import { getHighlightFingerprint } from './sync.js';
+
+/**
+ * Split a comma-separated tag field into tags
+ * @param {string} text - Tag field value, e.g. "heat, cooking basics"
+ * @returns {string[]} Unique, trimmed tags
+ */
+export function parseTags(text) {
+  return [...new Set((text || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Load the review choices for the highlights of a book
+ * @param {string} bookId - Library book ID
+ * @returns {Promise<Map<string, Object>>} Review records by highlight fingerprint
+ */
+export async function loadHighlightReviews(bookId) {
+  const reviews = await getReviews(bookId);
+  return new Map(reviews.map(review => [review.id, review]));
+}
+
+/**
+ * Save the review choices for a highlight
+ * A highlight that is included, unedited and untagged needs no review record, so it is removed
+ * @param {string} bookId - Library book ID
+ * @param {Object} record - Highlight record as parsed, before any edit
+ * @param {Object} choices - Review choices
+ * @param {boolean} choices.included - Whether the highlight is sent to the actions
+ * @param {string} choices.text - Highlight text, possibly edited
+ * @param {string[]} choices.tags - Tags
+ * @returns {Promise<Object|null>} Saved review record, or null when the highlight has no choices left
+ */
+export async function saveHighlightReview(bookId, record, { included, text, tags }) {
+  const id = getHighlightFingerprint(bookId, record);
+  const editedText = text && text.trim() !== record.text.trim() ? text.trim() : null;
+  
+  if (included && !editedText && tags.length === 0) {
+    await deleteReview(id);
+    return null;
+  }
+  
+  const review = {
+    id,
+    bookId,
+    chapter: record.chapter,
+    location: record.location,
+    excluded: !included,
+    text: editedText,
+    tags,
+    reviewedAt: new Date().toISOString()
+  };
+  await saveReview(review);
+  return review;
+}
+
+/**
+ * Apply review choices to highlight records: excluded records are dropped, edited text
+ * replaces the original and tags are attached
+ * Edited records keep their original text in `sources`, so they are fingerprinted as parsed
+ * @param {Array} records - Highlight records
+ * @param {string} bookId - Library book ID
+ * @param {Map<string, Object>} reviews - Review records from loadHighlightReviews
+ * @returns {Array} Reviewed records
+ */
+export function applyHighlightReviews(records, bookId, reviews) {
+  return records
+    .map(record => ({ record, review: reviews.get(getHighlightFingerprint(bookId, record)) }))
+    .filter(({ review }) => !review || !review.excluded)
+    .map(({ record, review }) => {
+      if (!review) {
+        return record;
+      }
+      return {
+        ...record,
+        ...(review.text ? { text: review.text, sources: [{ location: record.location, text: record.text }] } : {}),
+        tags: review.tags
+      };
+    });
+}
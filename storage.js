@@ -9,6 +9,7 @@ export function loadSavedData() {
     chrome.storage.local.get([
       'kindleFileUrl',
       'selectedChapter',
+      'selectedChapters',
       'selectedNotebook',
       'notebooksList',
       'notionPageUrl',
@@ -16,13 +17,24 @@ export function loadSavedData() {
       'notebooklmUrl',
       'geminiApiKey',
       'geminiChatUrl',
+      'llmProvider',
+      'llmProviderSettings',
+      'activeBookId',
       'kindleFileContent',
       'kindleFileName',
       'actionProcessHighlights',
       'actionCopyToNotion',
       'actionAddToNotebooklm',
       'actionGenerateFlashcards',
-      'actionCreateGeminiQuiz'
+      'actionCreateGeminiQuiz',
+      'syncNewOnly',
+      'pauseForReview',
+      'cleanupHighlights',
+      'colorFilters',
+      'colorLabels',
+      'citationStyle',
+      'promptTemplates',
+      'promptTemplateId'
     ], function(result) {
       resolve(result);
     });
@@ -38,14 +50,16 @@ export function saveKindleUrl(url) {
 }
 
 /**
- * Save selected chapter
- * @param {string} chapter - Chapter name
+ * Save selected chapters
+ * Replaces the single-chapter `selectedChapter` key used by earlier versions
+ * @param {string[]} chapters - Chapter names
  */
-export function saveSelectedChapter(chapter) {
-  if (chapter) {
-    chrome.storage.local.set({ selectedChapter: chapter });
+export function saveSelectedChapters(chapters) {
+  chrome.storage.local.remove('selectedChapter');
+  if (chapters && chapters.length > 0) {
+    chrome.storage.local.set({ selectedChapters: chapters });
   } else {
-    chrome.storage.local.remove('selectedChapter');
+    chrome.storage.local.remove('selectedChapters');
   }
 }
 
@@ -77,6 +91,15 @@ export function saveGeminiApiKey(apiKey) {
   chrome.storage.local.set({ geminiApiKey: apiKey });
 }
 
+/**
+ * Save the AI provider that processes highlights and the settings of every provider
+ * @param {string} providerId - 'gemini', 'openai' or 'ollama' (see llm.js)
+ * @param {Object<string, Object>} providerSettings - Settings by provider: baseUrl, apiKey, model, temperature, maxTokens, concurrency, inputTokenBudget, outputTokenBudget
+ */
+export function saveLlmProvider(providerId, providerSettings) {
+  chrome.storage.local.set({ llmProvider: providerId, llmProviderSettings: providerSettings });
+}
+
 /**
  * Save Gemini Chat/Gem URL
  * @param {string} url - Gemini chat/gem URL
@@ -86,22 +109,25 @@ export function saveGeminiChatUrl(url) {
 }
 
 /**
- * Save Kindle file content and filename
- * @param {string} fileName - File name
- * @param {string} fileContent - File content
+ * Save the ID of the library book open in the side panel
+ * @param {string|null} bookId - Library book ID, or null when no book is open
  */
-export function saveKindleFile(fileName, fileContent) {
-  // Try to save, but handle quota errors gracefully
-  chrome.storage.local.set({ 
-    kindleFileName: fileName,
-    kindleFileContent: fileContent
-  }, function() {
-    if (chrome.runtime.lastError) {
-      console.warn('Could not save file content to storage:', chrome.runtime.lastError);
-      // Still save the filename at least
-      chrome.storage.local.set({ kindleFileName: fileName });
-    }
-  });
+export function saveActiveBookId(bookId) {
+  if (bookId) {
+    chrome.storage.local.set({ activeBookId: bookId });
+  } else {
+    chrome.storage.local.remove('activeBookId');
+  }
+}
+
+/**
+ * Remove the single-file keys used before books were kept in the library
+ */
+export function clearLegacyKindleFile() {
+  chrome.storage.local.remove([
+    'kindleFileContent',
+    'kindleFileName'
+  ]);
 }
 
 /**
@@ -130,6 +156,46 @@ export function loadActionStates() {
   });
 }
 
+/**
+ * Save highlight color filters
+ * @param {Object<string, boolean>} colorFilters - Map of color to include flag
+ */
+export function saveColorFilters(colorFilters) {
+  chrome.storage.local.set({ colorFilters: colorFilters });
+}
+
+/**
+ * Save highlight color labels
+ * @param {Object<string, string>} colorLabels - Map of color to semantic label
+ */
+export function saveColorLabels(colorLabels) {
+  chrome.storage.local.set({ colorLabels: colorLabels });
+}
+
+/**
+ * Save citation style
+ * @param {string} citationStyle - 'apa', 'mla', 'bibtex', or an empty string for no citations
+ */
+export function saveCitationStyle(citationStyle) {
+  chrome.storage.local.set({ citationStyle: citationStyle });
+}
+
+/**
+ * Save the custom prompt templates
+ * @param {Array<{id: string, name: string, text: string}>} templates - Templates (see prompts.js); built-in ones are not saved
+ */
+export function savePromptTemplates(templates) {
+  chrome.storage.local.set({ promptTemplates: templates });
+}
+
+/**
+ * Save the prompt template chosen for runs
+ * @param {string} templateId - Template ID
+ */
+export function savePromptTemplateId(templateId) {
+  chrome.storage.local.set({ promptTemplateId: templateId });
+}
+
 /**
  * Save list of NotebookLM notebooks
  * @param {string[]} notebooks - Array of notebook names
@@ -186,3 +252,27 @@ export function loadProcessedContent() {
   });
 }
 
+/**
+ * Save which highlights the processed content was made from
+ * @param {{bookId: string, chapter: string, fingerprints: string[], aiSections?: Array|null, originalContent?: string|null, knownText?: string|null}|null} processedHighlights
+ *   Book, chapter, highlight fingerprints, the outcome of every AI section, and the highlights and other prompt text the AI was given
+ */
+export function saveProcessedHighlights(processedHighlights) {
+  if (processedHighlights) {
+    chrome.storage.local.set({ processedHighlights: processedHighlights });
+  } else {
+    chrome.storage.local.remove('processedHighlights');
+  }
+}
+
+/**
+ * Load which highlights the processed content was made from
+ * @returns {Promise<{bookId: string, chapter: string, fingerprints: string[]}|null>} Book, chapter and highlight fingerprints, or null
+ */
+export function loadProcessedHighlights() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['processedHighlights'], function(result) {
+      resolve(result.processedHighlights || null);
+    });
+  });
+}
@@ -0,0 +1,147 @@
+// Incremental sync module
+// Fingerprints highlights and remembers which ones each destination has received,
+// so a later run can send only the highlights added since the last sync
+
+import { getDelivery, saveDelivery } from './library.js';
+
+/**
+ * Hash text with 32-bit FNV-1a
+ * @param {string} text - Text to hash
+ * @returns {string} Hash as 8 hex digits
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build the fingerprint of a highlight record from its book, location and text
+ * Whitespace differences between exports don't change the fingerprint
+ * @param {string} bookId - Library book ID
+ * @param {{location: number|null, text: string}} record - Highlight record
+ * @returns {string} Fingerprint
+ */
+export function getHighlightFingerprint(bookId, record) {
+  const text = (record.text || '').replace(/\s+/g, ' ').trim();
+  const location = record.location !== null && record.location !== undefined ? record.location : '';
+  return `${bookId}|${location}|${hashText(text)}`;
+}
+
+/**
+ * Build the ID of a chapter's delivery record for one destination
+ * @param {string} destination - 'notion', 'geminiQuiz', 'notebooklm' or 'flashcards'
+ * @param {string} bookId - Library book ID
+ * @param {string} chapter - Chapter name
+ * @returns {string} Delivery ID
+ */
+function getDeliveryId(destination, bookId, chapter) {
+  return `${destination}|${bookId}|${chapter}`;
+}
+
+/**
+ * Load what a destination has received for a chapter
+ * @param {string} destination - 'notion', 'geminiQuiz', 'notebooklm' or 'flashcards'
+ * @param {string} bookId - Library book ID
+ * @param {string} chapter - Chapter name
+ * @returns {Promise<Object>} Delivery record; fingerprints is empty if nothing was delivered yet
+ */
+export async function loadDelivery(destination, bookId, chapter) {
+  const delivery = await getDelivery(getDeliveryId(destination, bookId, chapter));
+  return delivery || {
+    id: getDeliveryId(destination, bookId, chapter),
+    destination,
+    bookId,
+    chapter,
+    fingerprints: [],
+    syncedAt: null
+  };
+}
+
+/**
+ * Record that highlights were delivered to a destination
+ * Fingerprints are added to those delivered earlier
+ * @param {string} destination - 'notion', 'geminiQuiz', 'notebooklm' or 'flashcards'
+ * @param {string} bookId - Library book ID
+ * @param {string} chapter - Chapter name
+ * @param {string[]} fingerprints - Fingerprints of the delivered highlights
+ * @param {Object} details - Destination-specific details to store (e.g. the Notion page ID)
+ * @returns {Promise<Object>} Updated delivery record
+ */
+export async function recordDelivery(destination, bookId, chapter, fingerprints, details = {}) {
+  const delivery = await loadDelivery(destination, bookId, chapter);
+  const updatedDelivery = {
+    ...delivery,
+    ...details,
+    fingerprints: [...new Set([...delivery.fingerprints, ...fingerprints])],
+    syncedAt: new Date().toISOString()
+  };
+  await saveDelivery(updatedDelivery);
+  return updatedDelivery;
+}
+
+/**
+ * Record that delivered highlights were removed from a destination again (see undo.js),
+ * so a later run in "new since last sync" mode sends them again
+ * @param {string} destination - 'notion', 'geminiQuiz', 'notebooklm' or 'flashcards'
+ * @param {string} bookId - Library book ID
+ * @param {string} chapter - Chapter name
+ * @param {string[]} fingerprints - Fingerprints of the removed highlights
+ * @param {Object} details - Destination-specific details to store (e.g. the remaining NotebookLM sources)
+ * @returns {Promise<Object>} Updated delivery record
+ */
+export async function forgetDelivery(destination, bookId, chapter, fingerprints, details = {}) {
+  const delivery = await loadDelivery(destination, bookId, chapter);
+  const removed = new Set(fingerprints);
+  const updatedDelivery = {
+    ...delivery,
+    ...details,
+    fingerprints: delivery.fingerprints.filter(fingerprint => !removed.has(fingerprint))
+  };
+  await saveDelivery(updatedDelivery);
+  return updatedDelivery;
+}
+
+/**
+ * Get the fingerprints a destination hasn't received yet
+ * @param {Object} delivery - Delivery record from loadDelivery
+ * @param {string[]} fingerprints - Fingerprints to check
+ * @returns {string[]} Fingerprints missing from the delivery
+ */
+export function getUndeliveredFingerprints(delivery, fingerprints) {
+  const delivered = new Set(delivery.fingerprints);
+  return fingerprints.filter(fingerprint => !delivered.has(fingerprint));
+}
+
+/**
+ * Keep the records that at least one of the destinations hasn't received yet
+ * @param {Array} records - Highlight records of a chapter
+ * @param {string} bookId - Library book ID
+ * @param {Object[]} deliveries - Delivery records from loadDelivery
+ * @returns {Array} New records
+ */
+export function filterNewRecords(records, bookId, deliveries) {
+  const deliveredSets = deliveries.map(delivery => new Set(delivery.fingerprints));
+  return records.filter(record => {
+    const fingerprint = getHighlightFingerprint(bookId, record);
+    return deliveredSets.some(delivered => !delivered.has(fingerprint));
+  });
+}
+
+/**
+ * Check whether the destinations are missing the same records
+ * The processed content goes to every selected destination, so when they have diverged (e.g. the
+ * NotebookLM step failed in an earlier run) it would send some of them highlights they already have
+ * @param {Array} records - Highlight records of a chapter
+ * @param {string} bookId - Library book ID
+ * @param {Object[]} deliveries - Delivery records from loadDelivery
+ * @returns {boolean} True when every destination is missing exactly the same records
+ */
+export function haveSameNewRecords(records, bookId, deliveries) {
+  const fingerprints = records.map(record => getHighlightFingerprint(bookId, record));
+  const [first, ...others] = deliveries.map(delivery => getUndeliveredFingerprints(delivery, fingerprints).join('\n'));
+  return others.every(undelivered => undelivered === first);
+}
@@ -0,0 +1,36 @@
+// Unit checks of the incremental sync module (run with `node --test`)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getHighlightFingerprint, filterNewRecords, haveSameNewRecords } from '../sync.js';
+
+const BOOK_ID = 'book';
+const records = [
+  { kind: 'highlight', location: 10, text: 'First highlight' },
+  { kind: 'highlight', location: 20, text: 'Second highlight' },
+  { kind: 'highlight', location: 30, text: 'Third highlight' }
+];
+const fingerprints = records.map(record => getHighlightFingerprint(BOOK_ID, record));
+
+test('destinations that received the same highlights get the same new records', () => {
+  const deliveries = [
+    { destination: 'notion', fingerprints: fingerprints.slice(0, 2) },
+    { destination: 'notebooklm', fingerprints: fingerprints.slice(0, 2) }
+  ];
+  assert.equal(haveSameNewRecords(records, BOOK_ID, deliveries), true);
+  assert.deepEqual(filterNewRecords(records, BOOK_ID, deliveries), [records[2]]);
+});
+
+test('diverged destinations are reported', () => {
+  // NotebookLM failed in the earlier run, so Notion has highlights that NotebookLM lacks
+  const deliveries = [
+    { destination: 'notion', fingerprints: fingerprints.slice(0, 2) },
+    { destination: 'notebooklm', fingerprints: [] }
+  ];
+  assert.equal(haveSameNewRecords(records, BOOK_ID, deliveries), false);
+});
+
+test('a single destination never diverges', () => {
+  const deliveries = [{ destination: 'notion', fingerprints: fingerprints.slice(0, 1) }];
+  assert.equal(haveSameNewRecords(records, BOOK_ID, deliveries), true);
+});
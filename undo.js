@@ -0,0 +1,165 @@
+// Run undo module
+// Undoes a run from the run history (see history.js): archives the Notion pages it created, or
+// deletes the blocks it appended to an earlier page, and removes the NotebookLM sources and
+// flashcard decks it added. The deliveries are forgotten too, so a later run in "new since last
+// sync" mode sends those highlights again. Gemini conversations can't be deleted through the
+// extension, so they are listed to delete by hand
+
+import { getRun, saveRun } from './library.js';
+import { loadSavedData } from './storage.js';
+import { archivePage, deleteBlocks } from './notion.js';
+import { removeFromNotebooklm } from './notebooklm.js';
+import { loadDelivery, forgetDelivery } from './sync.js';
+
+/**
+ * Check whether a run created something that can still be undone
+ * @param {Object} run - Run record
+ * @returns {boolean} True if a step created something and the run wasn't undone yet
+ */
+export function canUndoRun(run) {
+  if (run.undo && run.undo.status === 'done') {
+    return false;
+  }
+  return run.chapterRuns.some(chapterRun => chapterRun.steps.some(step => step.status === 'done' && step.artifacts));
+}
+
+/**
+ * Undo what a Notion step created
+ * @param {Object} run - Run record
+ * @param {string} chapter - Chapter name
+ * @param {Object} artifacts - Step artifacts
+ * @param {string} authToken - Notion API auth token
+ * @returns {Promise<string>} What was undone
+ */
+async function undoNotionStep(run, chapter, artifacts, authToken) {
+  if (!authToken) {
+    throw new Error('Notion integration token required in the Config tab');
+  }
+  
+  const delivery = await loadDelivery('notion', run.bookId, chapter);
+  let message;
+  let details = {};
+  if (artifacts.notionBlockIds) {
+    // New highlights were appended to the page of an earlier run; only they are removed
+    await deleteBlocks(artifacts.notionBlockIds, authToken);
+    message = `Deleted the ${artifacts.notionBlockIds.length} blocks added to "${artifacts.notionPageTitle}"`;
+  } else {
+    await archivePage(artifacts.notionPageId, authToken);
+    message = `Archived the page "${artifacts.notionPageTitle}"`;
+    if (delivery.notionPageId === artifacts.notionPageId) {
+      details = { notionPageId: null };
+    }
+  }
+  
+  await forgetDelivery('notion', run.bookId, chapter, artifacts.fingerprints || [], details);
+  return message;
+}
+
+/**
+ * Forget the delivery of a NotebookLM step whose source or deck was removed
+ * @param {Object} run - Run record
+ * @param {string} chapter - Chapter name
+ * @param {Object} artifacts - Step artifacts
+ * @returns {Promise<void>}
+ */
+async function forgetNotebooklmDelivery(run, chapter, artifacts) {
+  if (artifacts.flashcardDeck) {
+    await forgetDelivery('flashcards', run.bookId, chapter, artifacts.fingerprints || []);
+    return;
+  }
+  
+  const delivery = await loadDelivery('notebooklm', run.bookId, chapter);
+  await forgetDelivery('notebooklm', run.bookId, chapter, artifacts.fingerprints || [], {
+    sources: (delivery.sources || []).filter(source => source.name !== artifacts.notebooklmSource)
+  });
+}
+
+/**
+ * Undo a run from the run history and record the outcome of every step in the run record
+ * Steps undone by an earlier attempt are not undone again, so a partly failed undo can be retried
+ * @param {string} runId - Run ID
+ * @param {Function} statusCallback - Callback for status updates
+ * @returns {Promise<Object>} Undo record: { status: 'done' or 'failed', startedAt, finishedAt, results },
+ *   with a result { chapter, stepId, name, status: 'done', 'failed' or 'manual', message } per step that created something
+ */
+export async function undoRun(runId, statusCallback) {
+  const run = await getRun(runId);
+  if (!run) {
+    throw new Error('The run is no longer in the history');
+  }
+  if (run.undo && run.undo.status === 'done') {
+    throw new Error('This run was already undone');
+  }
+  
+  const startedAt = new Date().toISOString();
+  const settings = await loadSavedData();
+  const earlierResults = new Map(((run.undo && run.undo.results) || []).map(result => [`${result.chapter}|${result.stepId}`, result]));
+  const results = [];
+  const notebooklmSteps = [];
+  
+  for (const chapterRun of run.chapterRuns) {
+    for (const step of chapterRun.steps) {
+      const artifacts = step.artifacts;
+      if (step.status !== 'done' || !artifacts) {
+        continue;
+      }
+      
+      const earlierResult = earlierResults.get(`${chapterRun.chapter}|${step.id}`);
+      if (earlierResult && earlierResult.status !== 'failed') {
+        results.push(earlierResult);
+        continue;
+      }
+      
+      const result = { chapter: chapterRun.chapter, stepId: step.id, name: step.name, status: 'failed', message: '' };
+      results.push(result);
+      
+      if (artifacts.notionPageId) {
+        statusCallback(`Undoing "${step.name}" for ${chapterRun.chapter}...`, 'info');
+        try {
+          result.message = await undoNotionStep(run, chapterRun.chapter, artifacts, settings.notionAuthToken);
+          result.status = 'done';
+        } catch (error) {
+          console.error('Error undoing Notion step:', error);
+          result.message = error.message;
+        }
+      } else if (artifacts.geminiConversationUrl) {
+        result.status = 'manual';
+        result.message = `Delete the conversation "${artifacts.geminiConversationName}" in Gemini`;
+      } else if (artifacts.notebooklmSource || artifacts.flashcardDeck) {
+        notebooklmSteps.push({ chapter: chapterRun.chapter, artifacts, result });
+      }
+    }
+  }
+  
+  // Remove the decks and sources of each notebook in one NotebookLM tab
+  const notebooks = [...new Set(notebooklmSteps.map(({ artifacts }) => artifacts.notebooklmNotebook))];
+  for (const notebook of notebooks) {
+    const steps = notebooklmSteps.filter(({ artifacts }) => artifacts.notebooklmNotebook === notebook);
+    const removed = await removeFromNotebooklm(notebook, {
+      flashcardDecks: steps.filter(({ artifacts }) => artifacts.flashcardDeck).map(({ artifacts }) => artifacts.flashcardDeck),
+      sourceNames: steps.filter(({ artifacts }) => artifacts.notebooklmSource).map(({ artifacts }) => artifacts.notebooklmSource)
+    }, statusCallback);
+    
+    for (const { chapter, artifacts, result } of steps) {
+      const type = artifacts.flashcardDeck ? 'flashcards' : 'source';
+      const name = artifacts.flashcardDeck || artifacts.notebooklmSource;
+      const outcome = removed.find(item => item.type === type && item.name === name);
+      if (outcome && outcome.success) {
+        await forgetNotebooklmDelivery(run, chapter, artifacts);
+        result.status = 'done';
+        result.message = type === 'flashcards' ? `Deleted the flashcards "${name}"` : `Removed the source "${name}"`;
+      } else {
+        result.message = outcome ? outcome.error : 'Not removed';
+      }
+    }
+  }
+  
+  run.undo = {
+    status: results.some(result => result.status === 'failed') ? 'failed' : 'done',
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    results
+  };
+  await saveRun(run);
+  return run.undo;
+}
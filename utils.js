@@ -11,3 +11,19 @@ export function showStatus(element, message, type) {
   element.className = `status ${type}`;
 }
 
+/**
+ * Pass the cancellation of a run on to the automation running in a tab (see content.js)
+ * @param {number} tabId - Tab ID
+ * @param {AbortSignal|null} signal - Signal of the run
+ * @returns {Function} Stops passing it on
+ */
+export function forwardCancellation(tabId, signal) {
+  if (!signal) {
+    return () => {};
+  }
+  const onAbort = () => {
+    chrome.tabs.sendMessage(tabId, { action: 'cancelAutomation' }, () => chrome.runtime.lastError);
+  };
+  signal.addEventListener('abort', onAbort);
+  return () => signal.removeEventListener('abort', onAbort);
+}